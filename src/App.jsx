@@ -1,16 +1,58 @@
 import React, { useRef, useEffect, useState } from "react";
 import { io } from "socket.io-client";
-
-/** --- Pump.fun Contract (hard-coded) --- */
-const CONTRACT_ADDRESS = "37gh3B2RYV3vAvnUEmVMkaskMtUZwyqogXzV22fRpump";
-const PUMPFUN_URL = `https://pump.fun/coin/${CONTRACT_ADDRESS}`;
-
-/** Access policy */
-const DEMO_LIMIT = 10;          // strokes allowed for demo users
-const REQUIRED_TOKENS = 100_000; // must hold ≥100,000 tokens
-
-/** Solana RPC (PublicNode) */
-const RPC_URL = "https://solana-rpc.publicnode.com";
+import { createTileStore } from "./tiles";
+import {
+  BALL_COLOR,
+  paintStroke,
+  fillMask,
+  renderStroke,
+  strokesBounds,
+  rectsOverlap,
+  SHAPE_TOOLS,
+  FONTS,
+  MAX_TEXT,
+} from "./strokes";
+import { encodeBatch, quantize } from "./protocol";
+import { createHistorySync } from "./sync";
+import { IDENTITY, createSphereRenderer, dragRotate } from "./sphere";
+import { detectWallets, openWallet } from "./wallets";
+import {
+  initialConfig,
+  fetchConfig,
+  mintAmountText,
+  requirementText,
+  baseTier,
+  tierById,
+} from "./config";
+import {
+  renderRegion,
+  canvasToBlob,
+  downloadBlob,
+  strokesToSVG,
+  strokesToJSON,
+  snapshotBase,
+  viewHash,
+  parseViewHash,
+} from "./exporter";
+import { createTimelapse, recordCanvas } from "./timelapse";
+import {
+  traceShape,
+  rollbacksFor,
+  excludeClip,
+  toRollback,
+} from "./moderation";
+import { fetchHoldings, assessHoldings, canDraw, countDemo } from "./access";
+import { inkCost, createInkBucket, isValidStroke } from "./limits";
+import { clampScale, screenToWorld, worldToScreen, fitBall } from "./view";
+import {
+  loadA11yPrefs,
+  saveA11yPrefs,
+  cursorStep,
+  moveCursor,
+  describePoint,
+} from "./a11y";
+import { maxClaimArea, fitClaim, toClaim, claimsFor, isLive } from "./claims";
+import Lobby, { roomFromPath, roomPath } from "./Lobby";
 
 /** Backend URL resolution (from your original) */
 const BACKEND_URL =
@@ -18,14 +60,93 @@ const BACKEND_URL =
   process.env.REACT_APP_BACKEND_URL ||
   "";
 
+/** Sign-in session (token issued by the backend after a signed nonce) */
+const SESSION_KEY = "pumpball.session";
+
+function loadSession() {
+  try {
+    return JSON.parse(sessionStorage.getItem(SESSION_KEY)) || null;
+  } catch (_) {
+    return null;
+  }
+}
+
+function saveSession(sess) {
+  try {
+    if (sess) sessionStorage.setItem(SESSION_KEY, JSON.stringify(sess));
+    else sessionStorage.removeItem(SESSION_KEY);
+  } catch (_) {
+    // storage disabled (private mode) -> session lasts until reload
+  }
+}
+
+/** POST JSON to the backend, throwing the server's error message on failure */
+async function api(path, body) {
+  const res = await fetch(`${BACKEND_URL}${path}`, {
+    method: "POST",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify(body || {}),
+  });
+  const json = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(json.error || `HTTP ${res.status}`);
+  return json;
+}
+
+function toBase64(bytes) {
+  let bin = "";
+  for (const b of bytes) bin += String.fromCharCode(b);
+  return btoa(bin);
+}
+
 /** Socket **/
 const socket = io(BACKEND_URL, {
   transports: ["websocket"],
   withCredentials: false,
   reconnection: true,
   reconnectionAttempts: Infinity,
+  // the session token rides on every handshake; the server derives holder
+  // status and the demo quota from it (anonymous if absent)
+  auth: { token: loadSession()?.token },
 });
 
+/** Re-handshake so the server picks up a new (or cleared) session token */
+function reauthSocket(token) {
+  socket.auth = { ...(socket.auth || {}), token: token || undefined };
+  socket.disconnect().connect();
+}
+
+/** Tools (parameters travel with every `draw` payload) */
+const TOOLS = [
+  { id: "brush", label: "Brush" },
+  { id: "highlighter", label: "Highlighter" },
+  { id: "spray", label: "Spray" },
+  { id: "fill", label: "Fill" },
+  { id: "eraser", label: "Eraser" },
+  { id: "line", label: "Line" },
+  { id: "rect", label: "Rectangle" },
+  { id: "ellipse", label: "Ellipse" },
+  { id: "polygon", label: "Polygon" },
+  { id: "text", label: "Text" },
+];
+const MAX_POLY_POINTS = 64;
+
+/** Outgoing stroke acknowledgements */
+const ACK_TIMEOUT = 8000; // ms to wait for the server to ack a batch
+const MAX_SEND_TRIES = 4; // acks timed out this many times -> rolled back
+const RESEND_CHUNK = 500; // strokes per batch when flushing the queue
+
+/** Presence */
+const CURSOR_INTERVAL = 100; // ms between cursor broadcasts
+const CURSOR_STALE = 30000; // ms without updates before a cursor is hidden
+
+/** View */
+const STROKE_CANCEL_MS = 300; // a second finger this soon cancels the stroke
+const CAMERA_MS = 300; // eased camera transitions
+const MINIMAP_SIZE = 160; // css px
+const MINIMAP_MS = 250; // min ms between minimap rebuilds while ink lands
+const SPHERE_TEX_MS = 250; // same for the sphere texture (and its upload)
+const CLAIM_TICK = 5000; // ms between claim expiry checks
+
 /** Utils **/
 function dist(a, b) {
   const dx = a.x - b.x,
@@ -33,35 +154,105 @@ function dist(a, b) {
   return Math.sqrt(dx * dx + dy * dy);
 }
 
+function randomId() {
+  return Math.random().toString(36).slice(2, 10) + Date.now().toString(36);
+}
+
+/** Anonymous author id for this tab (used until a wallet is connected) */
+const CLIENT_ID = "anon-" + randomId();
+
+function shortAddr(a) {
+  return `${a.slice(0, 4)}…${a.slice(-4)}`;
+}
+
+/** "14:05" for a ms timestamp */
+function clockTime(ms) {
+  return new Date(ms).toLocaleTimeString([], {
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+}
+
+/** Stable per-user hue for cursors and claim outlines */
+function colorFor(id) {
+  let h = 0;
+  for (let i = 0; i < id.length; i++) h = (h * 31 + id.charCodeAt(i)) >>> 0;
+  return `hsl(${h % 360}, 85%, 60%)`;
+}
+
 export default function App() {
   const canvasRef = useRef(null);
   const ctxRef = useRef(null);
 
+  // room from the URL path (null = lobby); changing it rebuilds the canvas
+  const [room, setRoom] = useState(() =>
+    roomFromPath(window.location.pathname)
+  );
+  const lastRoomRef = useRef(room);
+  useEffect(() => {
+    if (room != null) lastRoomRef.current = room;
+    const onPop = () => setRoom(roomFromPath(window.location.pathname));
+    window.addEventListener("popstate", onPop);
+    return () => window.removeEventListener("popstate", onPop);
+  }, [room]);
+
+  function goToRoom(next) {
+    if (next === room) return;
+    window.history.pushState(null, "", roomPath(next));
+    setRoom(next);
+  }
+
   // view
   const scaleRef = useRef(1);
   const offsetRef = useRef({ x: 0, y: 0 });
 
-  // HUD
-  const [hud, setHud] = useState({
-    scale: 1,
-    offsetX: 0,
-    offsetY: 0,
-    strokes: 0,
-  });
+  // HUD (written straight to the DOM from paintFrame, not React state)
+  const hudRef = useRef(null);
   const [connected, setConnected] = useState(false);
   const [connMsg, setConnMsg] = useState("connecting…");
 
   // tool state (controlled) + refs so listeners see latest values without re-init
   const [color, setColor] = useState("#111111");
   const [size, setSize] = useState(3);
+  const [tool, setTool] = useState("brush");
+  const [opacity, setOpacity] = useState(0.35);
   const colorRef = useRef(color);
   const sizeRef = useRef(size);
+  const toolRef = useRef(tool);
+  const opacityRef = useRef(opacity);
   useEffect(() => {
     colorRef.current = color;
   }, [color]);
   useEffect(() => {
     sizeRef.current = size;
   }, [size]);
+  // shape being rubber-banded: { tool, x0, y0, x1, y1 } or { tool, pts, cursor }
+  const draftRef = useRef(null);
+  useEffect(() => {
+    toolRef.current = tool;
+    draftRef.current = null;
+  }, [tool]);
+  useEffect(() => {
+    opacityRef.current = opacity;
+  }, [opacity]);
+  const [filled, setFilled] = useState(false);
+  const [font, setFont] = useState(0);
+  const filledRef = useRef(filled);
+  const fontRef = useRef(font);
+  useEffect(() => {
+    filledRef.current = filled;
+    fontRef.current = font;
+  }, [filled, font]);
+
+  // text being typed: world { x, y } + screen { sx, sy } of the input box
+  const [textDraft, setTextDraft] = useState(null);
+  const [textValue, setTextValue] = useState("");
+  const textDraftRef = useRef(null);
+  useEffect(() => {
+    textDraftRef.current = textDraft && { ...textDraft, value: textValue };
+    requestRender();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [textDraft, textValue]);
 
   // interaction
   const drawingRef = useRef(false);
@@ -70,6 +261,20 @@ export default function App() {
   const panStart = useRef({ x: 0, y: 0 });
   const offsetStart = useRef({ x: 0, y: 0 });
   const lastEmit = useRef(0);
+  // touch: live pointers (id -> client pos) and the pinch in progress
+  const touchesRef = useRef(new Map());
+  const pinchRef = useRef(null);
+  // single-finger pan mode (phones have no middle button or Shift)
+  const [panMode, setPanMode] = useState(false);
+  const panModeRef = useRef(false);
+  useEffect(() => {
+    panModeRef.current = panMode;
+  }, [panMode]);
+
+  // presence: other artists' cursors (world coords) keyed by socket id
+  const presenceRef = useRef(new Map()); // id -> { name, x, y, t }
+  const [peers, setPeers] = useState([]);
+  const lastCursorEmit = useRef(0);
 
   // DPR
   const dprRef = useRef(1);
@@ -78,17 +283,35 @@ export default function App() {
   const BALL_RADIUS = 2000;
   const WORLD_SIZE = BALL_RADIUS * 2 + 200;
 
-  // strokes (for HUD only)
+  // strokes (full history, used to rebuild buffer regions on undo/redo)
   const strokesRef = useRef([]);
 
-  // queues/flags
-  const incomingQueue = useRef([]);
+  // gestures: one id per pointerdown→pointerup, undo/redo stacks hold my own
+  const gestureRef = useRef(null);
+  const undoStackRef = useRef([]);
+  const redoStackRef = useRef([]);
+  const authorRef = useRef(CLIENT_ID);
+
+  // render scheduling: paint only when the view or buffer changed
   const needsRender = useRef(true);
+  const rafRef = useRef(0);
+
+  function requestRender() {
+    needsRender.current = true;
+    if (rafRef.current) return;
+    rafRef.current = requestAnimationFrame(() => {
+      rafRef.current = 0;
+      if (!needsRender.current) return;
+      needsRender.current = false;
+      paintFrame();
+    });
+  }
 
   /** --------- Toast (no libs) ---------- */
   const [toast, setToast] = useState({ show: false, msg: "" });
   const toastTimer = useRef(null);
   function showToast(msg, ms = 1600) {
+    announce(msg);
     setToast({ show: true, msg });
     if (toastTimer.current) clearTimeout(toastTimer.current);
     toastTimer.current = setTimeout(
@@ -97,115 +320,851 @@ export default function App() {
     );
   }
 
-  /** --------- Offscreen buffer (no-reset, infinite strokes) ---------- */
-  const bufferCanvasRef = useRef(null);
-  const bufferCtxRef = useRef(null);
-  const BUF_SIZE = WORLD_SIZE;
+  /** --------- Accessibility: live region, contrast, motion, keyboard ---------- */
+  // screen readers hear toasts and status changes through this live region
+  const [liveMsg, setLiveMsg] = useState("");
+  function announce(msg) {
+    // the same message twice must still change the text to be read again
+    setLiveMsg((prev) => (prev === msg ? msg + "\u00a0" : msg));
+  }
+  useEffect(() => {
+    announce(`Server ${connMsg}`);
+  }, [connMsg]);
+  const [a11y, setA11y] = useState(loadA11yPrefs);
+  const reduceMotionRef = useRef(a11y.reduceMotion);
+  useEffect(() => {
+    reduceMotionRef.current = a11y.reduceMotion;
+  }, [a11y]);
+  function setA11yPref(key, value) {
+    const next = { ...a11y, [key]: value };
+    setA11y(next);
+    saveA11yPrefs(next);
+  }
 
-  function worldToBuffer(x, y) {
-    return { bx: x + BUF_SIZE / 2, by: y + BUF_SIZE / 2 };
+  // keyboard drawing: a cursor (world point) moved with the arrow keys
+  const [kbMode, setKbMode] = useState(false);
+  const kbModeRef = useRef(false);
+  const kbCursorRef = useRef(null);
+  useEffect(() => {
+    kbModeRef.current = kbMode;
+    requestRender();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [kbMode]);
+
+  function toggleKeyboardDrawing() {
+    const on = !kbMode;
+    setKbMode(on);
+    if (on) {
+      const o = offsetRef.current;
+      kbCursorRef.current = moveCursor({ x: -o.x, y: -o.y }, 0, 0, BALL_RADIUS);
+      canvasRef.current?.focus();
+      announce(
+        "Keyboard drawing on. Arrow keys move the cursor, Shift moves further, Space draws, Escape stops."
+      );
+    } else {
+      if (gestureRef.current?.keyboard) {
+        drawingRef.current = false;
+        gestureRef.current = null;
+      }
+      announce("Keyboard drawing off.");
+    }
   }
 
-  function drawStrokeToBuffer(s) {
-    const bctx = bufferCtxRef.current;
-    if (!bctx) return;
-    const p0 = worldToBuffer(s.x0, s.y0);
-    const p1 = worldToBuffer(s.x1, s.y1);
-    bctx.beginPath();
-    bctx.moveTo(p0.bx, p0.by);
-    bctx.lineTo(p1.bx, p1.by);
-    bctx.strokeStyle = s.color || "#111";
-    bctx.lineWidth = s.size || 3;
-    bctx.lineCap = "round";
-    bctx.lineJoin = "round";
-    bctx.stroke();
+  /** --------- Tiled world buffer (tiles allocated on first ink) ---------- */
+  const tilesRef = useRef(null);
+
+  /** Tiles on screen: the timelapse's own store while replaying */
+  function viewTiles() {
+    return replayRef.current?.tl.tiles || tilesRef.current;
+  }
+
+  /** --------- Timelapse replay (view-only, separate buffer) ---------- */
+  // { tl, playing, speed, last, raf, rec } while the replay is open
+  const replayRef = useRef(null);
+  // UI mirror, refreshed a few times a second during playback
+  const [replay, setReplay] = useState(null);
+  const replayUiAtRef = useRef(0);
+
+  function syncReplayUi(force) {
+    const r = replayRef.current;
+    const now = performance.now();
+    if (!force && now - replayUiAtRef.current < 100) return;
+    replayUiAtRef.current = now;
+    setReplay(
+      r && {
+        playing: r.playing,
+        recording: !!r.rec,
+        speed: r.speed,
+        position: r.tl.position,
+        duration: r.tl.duration,
+        drawn: r.tl.drawn,
+        total: r.tl.total,
+        fromSnapshot: r.fromSnapshot,
+      }
+    );
+  }
+
+  function openReplay() {
+    if (replayRef.current) return;
+    const tl = createTimelapse({
+      strokes: visibleStrokes(),
+      radius: BALL_RADIUS,
+      base: snapshotRef.current,
+      cutsOf: strokeCuts,
+    });
+    replayRef.current = {
+      tl,
+      playing: false,
+      speed: 16,
+      last: 0,
+      raf: 0,
+      fromSnapshot: snapshotRef.current.length > 0,
+    };
+    playReplay();
+  }
+
+  function replayTick(now) {
+    const r = replayRef.current;
+    if (!r?.playing) return;
+    const dt = r.last ? now - r.last : 0;
+    r.last = now;
+    r.tl.seek(r.tl.position + dt * r.speed);
+    if (r.rec) r.tl.renderStage();
+    requestRender();
+    if (r.tl.position >= r.tl.duration) {
+      pauseReplay();
+      finishRecording();
+      return;
+    }
+    r.raf = requestAnimationFrame(replayTick);
+    syncReplayUi();
+  }
+
+  function playReplay() {
+    const r = replayRef.current;
+    if (!r || r.playing) return;
+    if (r.tl.position >= r.tl.duration) r.tl.seek(0);
+    r.playing = true;
+    r.last = 0;
+    r.raf = requestAnimationFrame(replayTick);
+    syncReplayUi(true);
+  }
+
+  function pauseReplay() {
+    const r = replayRef.current;
+    if (!r) return;
+    cancelAnimationFrame(r.raf);
+    r.playing = false;
+    syncReplayUi(true);
+  }
+
+  function seekReplay(ms) {
+    const r = replayRef.current;
+    if (!r) return;
+    r.tl.seek(ms);
+    if (r.rec) r.tl.renderStage();
+    requestRender();
+    syncReplayUi(true);
+  }
+
+  function setReplaySpeed(speed) {
+    if (replayRef.current) replayRef.current.speed = speed;
+    syncReplayUi(true);
+  }
+
+  /** Record from the start to the end of the history as WebM */
+  function recordReplay() {
+    const r = replayRef.current;
+    if (!r || r.rec) return;
+    pauseReplay();
+    r.tl.seek(0);
+    try {
+      r.rec = recordCanvas(r.tl.renderStage());
+    } catch (e) {
+      showToast(e.message);
+      return;
+    }
+    playReplay();
+  }
+
+  async function finishRecording() {
+    const r = replayRef.current;
+    if (!r?.rec) return;
+    const rec = r.rec;
+    r.rec = null;
+    syncReplayUi(true);
+    const blob = await rec.stop();
+    downloadBlob(blob, `${fileStem()}-timelapse.webm`);
+  }
+
+  function closeReplay() {
+    pauseReplay();
+    finishRecording(); // a recording cut short is still saved
+    replayRef.current = null;
+    setReplay(null);
+    requestRender();
+  }
+
+  /** --------- 3D sphere mode ---------- */
+  const [sphereMode, setSphereMode] = useState(false);
+  const sphereModeRef = useRef(false);
+  // renderer is created on first use; texture holds the whole flat ball
+  const sphereRef = useRef({
+    renderer: null,
+    rot: IDENTITY,
+    tex: null,
+    texTiles: null,
+    texVersion: -1,
+    // bumped on every rebuild: the renderer's upload key (live and replay
+    // tile stores number their versions separately)
+    texRev: 0,
+    texAt: 0,
+    texTimer: 0,
+  });
+  useEffect(() => {
+    sphereModeRef.current = sphereMode;
+    requestRender();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [sphereMode]);
+
+  /**
+   * Flat ball → square texture, refreshed only when the tiles changed and,
+   * while ink keeps landing, at most every SPHERE_TEX_MS
+   */
+  function sphereTexture() {
+    const sp = sphereRef.current;
+    const tiles = viewTiles();
+    const size = sp.renderer.kind === "webgl" ? 2048 : 1024;
+    if (!sp.tex) {
+      sp.tex = document.createElement("canvas");
+      sp.tex.width = sp.tex.height = size;
+    }
+    const now = performance.now();
+    const stale = sp.texTiles !== tiles || sp.texVersion !== tiles.version;
+    if (stale && sp.texTiles === tiles && now - sp.texAt < SPHERE_TEX_MS) {
+      if (!sp.texTimer) {
+        const wait = SPHERE_TEX_MS - (now - sp.texAt);
+        sp.texTimer = setTimeout(() => {
+          sp.texTimer = 0;
+          requestRender();
+        }, wait);
+      }
+    } else if (stale) {
+      const k = size / (BALL_RADIUS * 2);
+      const tctx = sp.tex.getContext("2d");
+      tctx.setTransform(1, 0, 0, 1, 0, 0);
+      tctx.clearRect(0, 0, size, size);
+      tctx.setTransform(k, 0, 0, k, size / 2, size / 2);
+      tctx.save();
+      tctx.beginPath();
+      tctx.arc(0, 0, BALL_RADIUS, 0, Math.PI * 2);
+      tctx.fillStyle = BALL_COLOR;
+      tctx.fill();
+      tctx.clip();
+      const R = BALL_RADIUS;
+      tiles.draw(tctx, { x: -R, y: -R, w: 2 * R, h: 2 * R }, k);
+      tctx.restore();
+      sp.texTiles = tiles;
+      sp.texVersion = tiles.version;
+      sp.texRev++;
+      sp.texAt = now;
+    }
+    return sp.tex;
+  }
+
+  function paintSphere(ctx) {
+    const sp = sphereRef.current;
+    if (!sp.renderer) {
+      sp.renderer = createSphereRenderer({ onRestore: requestRender });
+    }
+    const canvas = ctx.canvas;
+    const r = BALL_RADIUS * scaleRef.current;
+    const cx = canvas.clientWidth / 2,
+      cy = canvas.clientHeight / 2;
+    const out = sp.renderer.render(
+      sphereTexture(),
+      sp.texRev,
+      sp.rot,
+      r * 2 * dprRef.current
+    );
+    ctx.drawImage(out, cx - r, cy - r, r * 2, r * 2);
+    ctx.beginPath();
+    ctx.arc(cx, cy, r, 0, Math.PI * 2);
+    ctx.lineWidth = 2;
+    ctx.strokeStyle = "#888";
+    ctx.stroke();
+  }
+
+  /** Rollbacks and claims clipped out of `s` (canvas, replay and exports) */
+  function strokeCuts(s) {
+    const b = strokesBounds([s]);
+    return [
+      ...rollbacksFor(rollbacksRef.current, s, b),
+      ...claimsFor(claimsRef.current, s, b),
+    ];
+  }
+
+  function drawStrokeToBuffer(s, clip) {
+    const tiles = tilesRef.current;
+    if (!tiles) return;
+    if (hiddenAuthorsRef.current.has(s.author)) return;
+    const cuts = strokeCuts(s);
+    paintStroke(
+      tiles,
+      s,
+      BALL_RADIUS,
+      cuts.length ? excludeClip(clip, cuts) : clip
+    );
+    requestRender();
+  }
+
+  /** Clear a world-space rect and replay the visible strokes inside it */
+  function redrawBufferRegion(rect) {
+    const tiles = tilesRef.current;
+    if (!tiles || !rect) return;
+    tiles.clear(rect);
+    for (const b of snapshotRef.current) {
+      if (rectsOverlap(b, rect)) paintSnapshotPart(b, rect);
+    }
+    for (const s of strokesRef.current) {
+      if (s.undone) continue;
+      const b = strokesBounds([s]);
+      if (b && rectsOverlap(b, rect)) drawStrokeToBuffer(s, rect);
+    }
+    requestRender();
+  }
+
+  /** --------- Outgoing strokes: batched per frame, sent as binary ---------- */
+  const outboxRef = useRef([]);
+  const flushRafRef = useRef(0);
+
+  // every outgoing stroke gets a client sequence id (`cseq`) and stays in
+  // `pending` until the server acks it; offline strokes wait here too. cseq
+  // starts at the clock so author + cseq stays unique across reloads and the
+  // server can drop a resend it already stored
+  const cseqRef = useRef(Date.now());
+  // cseq -> { stroke, tries, late, inFlight }
+  const pendingRef = useRef(new Map());
+  const myGesturesRef = useRef(new Set());
+  const [unsent, setUnsent] = useState(0);
+
+  // the badge counts only ink that missed its ack or was drawn offline, so
+  // the normal send/ack round trip does not re-render App every frame
+  function syncUnsent() {
+    let late = 0;
+    for (const p of pendingRef.current.values()) if (p.late) late++;
+    setUnsent(late);
+  }
+
+  function sendStroke(stroke) {
+    stroke.cseq = ++cseqRef.current;
+    pendingRef.current.set(stroke.cseq, {
+      stroke,
+      tries: 0,
+      late: false,
+      inFlight: false,
+    });
+    outboxRef.current.push(stroke);
+    if (!flushRafRef.current) {
+      flushRafRef.current = requestAnimationFrame(flushOutbox);
+    }
+  }
+
+  function flushOutbox() {
+    cancelAnimationFrame(flushRafRef.current);
+    flushRafRef.current = 0;
+    const batch = outboxRef.current;
+    if (!batch.length) return;
+    outboxRef.current = [];
+    if (socket.connected) emitBatch(batch);
+    else markLate(batch); // resent from `pending` after reconnect
+  }
+
+  function emitBatch(batch) {
+    for (const s of batch) {
+      const p = pendingRef.current.get(s.cseq);
+      if (p) p.inFlight = true;
+    }
+    // ack: { rejected?: [cseq], seq?: [server seq per stroke] }
+    socket
+      .timeout(ACK_TIMEOUT)
+      .emit("draw:batch", encodeBatch(batch), (err, res) => {
+        const left = [];
+        for (const s of batch) {
+          const p = pendingRef.current.get(s.cseq);
+          if (!p) continue;
+          p.inFlight = false;
+          left.push(s);
+        }
+        if (!err) return settleBatch(batch, res);
+        markLate(left);
+        // a disconnect is not a failed try: resendPending() sends them again
+        if (!socket.connected) return;
+        for (const s of left) pendingRef.current.get(s.cseq).tries++;
+        retryStrokes(left);
+      });
+  }
+
+  function settleBatch(batch, res) {
+    const rejected = new Set(res?.rejected || []);
+    const dropped = [];
+    batch.forEach((s, i) => {
+      if (!pendingRef.current.has(s.cseq)) return;
+      pendingRef.current.delete(s.cseq);
+      if (rejected.has(s.cseq)) dropped.push(s);
+      else if (res?.seq?.[i] != null) s.seq = res.seq[i];
+    });
+    if (dropped.length) rollBack(dropped);
+    syncUnsent();
+    requestRender();
+  }
+
+  /** Resend strokes still pending; ones out of tries are rolled back */
+  function retryStrokes(list) {
+    const retry = [],
+      dead = [];
+    for (const s of list) {
+      const p = pendingRef.current.get(s.cseq);
+      if (!p) continue;
+      if (p.tries >= MAX_SEND_TRIES) {
+        pendingRef.current.delete(s.cseq);
+        dead.push(s);
+      } else retry.push(s);
+    }
+    if (dead.length) rollBack(dead);
+    for (let i = 0; i < retry.length; i += RESEND_CHUNK) {
+      emitBatch(retry.slice(i, i + RESEND_CHUNK));
+    }
+    syncUnsent();
+  }
+
+  // non-stroke events (undo/redo) must not overtake queued strokes, so while
+  // offline they wait here instead of in socket.io's own send buffer
+  const queuedEventsRef = useRef([]);
+  function emitAfterStrokes(event, payload) {
+    flushOutbox();
+    if (socket.connected) socket.emit(event, payload);
+    else queuedEventsRef.current.push([event, payload]);
+  }
+
+  // batches still waiting for an ack are left alone: their ack (or its
+  // timeout) decides what happens to them
+  function resendPending() {
+    retryStrokes(
+      [...pendingRef.current.values()]
+        .filter((p) => !p.inFlight)
+        .map((p) => p.stroke)
+    );
+    const queued = queuedEventsRef.current;
+    queuedEventsRef.current = [];
+    for (const [event, payload] of queued) socket.emit(event, payload);
+  }
+
+  function markLate(list) {
+    for (const s of list) {
+      const p = pendingRef.current.get(s.cseq);
+      if (p) p.late = true;
+    }
+    syncUnsent();
+    requestRender();
+  }
+
+  /** Remove ink the server never accepted (and its undo/redo entries) */
+  function rollBack(list) {
+    const ids = new Set();
+    for (const s of list) {
+      s.undone = true;
+      s.unsaved = true;
+      ids.add(s.id);
+    }
+    const keep = (id) => !ids.has(id);
+    undoStackRef.current = undoStackRef.current.filter(keep);
+    redoStackRef.current = redoStackRef.current.filter(keep);
+    redrawBufferRegion(strokesBounds(list));
+    showToast(
+      `${list.length} stroke${list.length === 1 ? "" : "s"} could not be saved and were removed.`,
+      3000
+    );
+  }
+
+  /** --------- Incoming history: snapshot + sequence-numbered strokes ---------- */
+  // seq bookkeeping + init/draw handlers for the current room (sync.js)
+  const syncRef = useRef(null);
+  // raster base images ({img,x,y,w,h} world rects) the history replays over,
+  // and the last seq baked into them
+  const snapshotRef = useRef([]);
+  const snapshotSeqRef = useRef(0);
+
+  /** Draw + record a new stroke that came from the server */
+  function applyIncoming(s) {
+    // our own gestures echoed back by a catch-up sync are already drawn
+    if (s.id && myGesturesRef.current.has(s.id)) return;
+    // sized against the sender's tier; untagged strokes get the demo tier's
+    const cfg = configRef.current;
+    const { maxSize } = tierById(cfg, s.tier) || baseTier(cfg);
+    if (!isValidStroke(s, BALL_RADIUS, maxSize)) return;
+    if (!s.undone) drawStrokeToBuffer(s);
+    strokesRef.current.push(s);
+  }
+
+  function resetHistory() {
+    tilesRef.current?.reset();
+    strokesRef.current = [];
+    snapshotRef.current = [];
+    snapshotSeqRef.current = 0;
+    // acked strokes come back with the new history; unacked ones are redrawn
+    myGesturesRef.current.clear();
+    for (const { stroke } of pendingRef.current.values()) {
+      myGesturesRef.current.add(stroke.id);
+      drawStrokeToBuffer(stroke);
+      strokesRef.current.push(stroke);
+    }
+    requestRender();
+  }
+
+  function paintSnapshotPart(b, clip) {
+    tilesRef.current?.paint(
+      b,
+      (bctx) => bctx.drawImage(b.img, b.x, b.y, b.w, b.h),
+      clip
+    );
+  }
+
+  async function loadImage(src) {
+    const blob =
+      typeof src === "string"
+        ? await (await fetch(src, { mode: "cors" })).blob()
+        : new Blob([src], { type: "image/png" });
+    return createImageBitmap(blob);
+  }
+
+  /**
+   * `snapshot` = { seq, tiles: [{ x, y, w, h, src }] } where each src is a
+   * URL / data URL or raw PNG bytes covering that world rect. A whole-ball
+   * PNG is just a single entry. Only strokes after `seq` are replayed.
+   */
+  async function loadSnapshot(meta) {
+    const sync = syncRef.current;
+    sync.hold();
+    resetHistory();
+    setLoading({ done: 0, total: 0, label: "snapshot" });
+    try {
+      const parts = await Promise.all(
+        (meta?.tiles || []).map(async (t) => ({
+          x: t.x,
+          y: t.y,
+          w: t.w,
+          h: t.h,
+          img: await loadImage(t.src),
+        }))
+      );
+      if (syncRef.current !== sync) return; // left the room meanwhile
+      // rebuild each area so ink drawn while the images loaded stays on top
+      snapshotRef.current = parts;
+      snapshotSeqRef.current = meta?.seq || 0;
+      for (const b of parts) redrawBufferRegion(b);
+      sync.lastSeq = meta?.seq || 0;
+    } catch (err) {
+      console.error("snapshot load failed", err);
+      showToast("Snapshot failed — loading full history.");
+      sync.lastSeq = 0;
+    }
+    requestRender();
+    sync.requestSync(sync.lastSeq);
+  }
+
+  // initial history arrives as init:begin → init:chunk* → init:end
+  const [loading, setLoading] = useState(null);
+
+  /**
+   * Flip a gesture's visibility and rebuild the area it covered; with
+   * `author`, only that author's gesture (a remote undo can't hide others').
+   * Returns the gesture's author, or null when there was nothing to flip.
+   */
+  function setGestureUndone(id, undone, author) {
+    // ink the server never accepted stays gone
+    const segs = strokesRef.current.filter(
+      (s) =>
+        s.id === id &&
+        !s.unsaved &&
+        (author === undefined || s.author === author)
+    );
+    if (!segs.length) return null;
+    for (const s of segs) s.undone = undone;
+    redrawBufferRegion(strokesBounds(segs));
+    return segs[0].author;
+  }
+
+  // the gesture's own author: it may predate a wallet connect or switch
+  function undo() {
+    const id = undoStackRef.current.pop();
+    if (!id) return;
+    const author = setGestureUndone(id, true);
+    if (author) {
+      redoStackRef.current.push(id);
+      emitAfterStrokes("undo", { id, author });
+    }
+  }
+
+  function redo() {
+    const id = redoStackRef.current.pop();
+    if (!id) return;
+    const author = setGestureUndone(id, false);
+    if (author) {
+      undoStackRef.current.push(id);
+      emitAfterStrokes("redo", { id, author });
+    }
+  }
+
+  /** -------- Presence ---------- */
+  /** Refresh the React-side peer list when membership or names change */
+  function syncPeers() {
+    const list = [...presenceRef.current.entries()].map(([id, u]) => ({
+      id,
+      name: u.name,
+    }));
+    setPeers((prev) =>
+      prev.length === list.length &&
+      prev.every((p, i) => p.id === list[i].id && p.name === list[i].name)
+        ? prev
+        : list
+    );
+  }
+
+  function updatePeer(u) {
+    if (!u?.id || u.id === socket.id) return;
+    const prev = presenceRef.current.get(u.id);
+    presenceRef.current.set(u.id, {
+      name: u.name || prev?.name || "Anon",
+      x: u.x ?? prev?.x,
+      y: u.y ?? prev?.y,
+      t: performance.now(),
+    });
+    if (!prev || prev.name !== u.name) syncPeers();
+    requestRender();
   }
 
-  /** -------- Wallet gate (Phantom + RPC check) ---------- */
-  const [walletAddr, setWalletAddr] = useState(null);
+  function jumpToPeer(id) {
+    const u = presenceRef.current.get(id);
+    if (!u || u.x == null) {
+      showToast("That artist hasn't moved their cursor yet.");
+      return;
+    }
+    animateView({ offset: { x: -u.x, y: -u.y } });
+  }
+
+  /** -------- Runtime config (mints, thresholds, RPC list, branding) -------- */
+  const [config, setConfig] = useState(initialConfig);
+  const configRef = useRef(config);
+  useEffect(() => {
+    configRef.current = config;
+    document.title = config.name;
+  }, [config]);
+  useEffect(() => {
+    let live = true;
+    fetchConfig(BACKEND_URL, initialConfig())
+      .then((c) => live && setConfig(c))
+      .catch(() => {}); // no /config endpoint: keep the built-in config
+    return () => {
+      live = false;
+    };
+  }, []);
+
+  /** -------- Wallet gate (Phantom sign-in, enforced by the server) ---------- */
+  // a stored session survives reloads; its address is shown until disconnect
+  const [walletAddr, setWalletAddr] = useState(
+    () => loadSession()?.address || null
+  );
   const [hasFullAccess, setHasFullAccess] = useState(false);
   const [demoUsed, setDemoUsed] = useState(0);
+  const [demoLimit, setDemoLimit] = useState(config.demoLimit);
+  // the config's limit applies until the server's `access` names one
+  const serverLimitRef = useRef(false);
+  useEffect(() => {
+    if (!serverLimitRef.current) setDemoLimit(config.demoLimit);
+  }, [config.demoLimit]);
   const [checkingHoldings, setCheckingHoldings] = useState(false);
+  const [walletChoices, setWalletChoices] = useState(null);
+  const walletRef = useRef(null); // openWallet() wrapper for the active wallet
   const [rpcNote, setRpcNote] = useState("");
-
-  async function rpc(method, params) {
-    const body = { jsonrpc: "2.0", id: Date.now(), method, params };
-    const res = await fetch(RPC_URL, {
-      method: "POST",
-      headers: { "content-type": "application/json" },
-      body: JSON.stringify(body),
+  // holder tier id: estimated from RPC balances, overridden by `access.tier`
+  const [tierId, setTierId] = useState(null);
+  // best balance / required (sizes region claims); `access.ratio` overrides
+  const [holdRatio, setHoldRatio] = useState(0);
+  const tier = hasFullAccess
+    ? tierById(config, tierId) ||
+      config.tiers.find((t) => t.ratio >= 1) ||
+      baseTier(config)
+    : baseTier(config);
+  const tierRef = useRef(tier);
+  // ink budget refilling at the tier's rate (server applies the same bucket)
+  const inkRef = useRef(null);
+  if (!inkRef.current) inkRef.current = createInkBucket(tier.inkPerMinute);
+  const inkBarRef = useRef(null);
+  const inkToastAt = useRef(0);
+  useEffect(() => {
+    tierRef.current = tier;
+    inkRef.current.setRate(tier.inkPerMinute);
+    // keep the current brush inside the tier's perks
+    setSize((v) => Math.min(v, tier.maxSize));
+    if (tier.colors) {
+      setColor((c) =>
+        tier.colors.includes(c.toLowerCase()) ? c : tier.colors[0]
+      );
+    }
+  }, [tier]);
+  useEffect(() => {
+    authorRef.current = walletAddr || CLIENT_ID;
+  }, [walletAddr]);
+  const displayName = walletAddr
+    ? shortAddr(walletAddr)
+    : "Anon " + CLIENT_ID.slice(5, 9);
+  const displayNameRef = useRef(displayName);
+  useEffect(() => {
+    displayNameRef.current = displayName;
+  }, [displayName]);
+
+  /**
+   * Sign-in-with-Solana: the backend hands out a nonce, the wallet signs a
+   * message containing it, and the backend verifies the signature and the
+   * holder balance before issuing a session token for the socket handshake.
+   */
+  async function signIn(wallet, address) {
+    const { nonce, message } = await api("/auth/nonce", { address });
+    const text =
+      message ||
+      `Sign in to ${configRef.current.name}\n\nWallet: ${address}\nNonce: ${nonce}`;
+    const sig = await wallet.signMessage(new TextEncoder().encode(text));
+    const { token } = await api("/auth/verify", {
+      address,
+      message: text,
+      signature: toBase64(sig),
     });
-    const json = await res.json();
-    if (json.error) throw new Error(json.error.message || "RPC error");
-    return json.result;
+    saveSession({ token, address });
+    reauthSocket(token);
   }
 
-  async function connectWallet() {
+  /** Connect button: one wallet connects straight away, several show a picker */
+  function chooseWallet() {
+    const found = detectWallets();
+    if (!found.length) {
+      showToast("No Solana wallet found (Phantom, Solflare, Backpack…).");
+    } else if (found.length === 1) {
+      connectWallet(found[0]);
+    } else {
+      setWalletChoices(found);
+    }
+  }
+
+  async function connectWallet(adapter) {
+    setWalletChoices(null);
     try {
-      const provider = window.solana;
-      if (!provider || !provider.isPhantom) {
-        showToast("Phantom wallet not found.");
-        return;
-      }
-      const resp = await provider.connect();
-      const address = resp.publicKey?.toBase58?.() || null;
-      setWalletAddr(address || null);
-      if (address) await checkHoldings(address);
+      const wallet = openWallet(adapter);
+      const address = await wallet.connect();
+      if (!address) return;
+      walletRef.current?.off();
+      walletRef.current = wallet;
+      wallet.off = watchWallet(wallet);
+      await adoptAddress(wallet, address);
     } catch (e) {
       console.error("Wallet connect error", e);
       showToast("Wallet connect failed.");
     }
   }
 
+  /** Adopt `address` as the active account: session first, then balance */
+  async function adoptAddress(wallet, address) {
+    setWalletAddr(address);
+    if (loadSession()?.address !== address) {
+      try {
+        await signIn(wallet, address);
+      } catch (e) {
+        console.error("Sign-in failed", e);
+        saveSession(null);
+        reauthSocket(null);
+        showToast("Sign-in failed — staying in demo mode.");
+      }
+    }
+    await checkHoldings(address);
+  }
+
+  // follow account switches / disconnects made inside the wallet extension
+  function watchWallet(wallet) {
+    const offAccount = wallet.on("accountChanged", (address) => {
+      if (address) {
+        showToast(`Switched to ${shortAddr(address)}`);
+        adoptAddress(wallet, address);
+      } else {
+        // switched to an account not connected to this site
+        disconnectWallet();
+      }
+    });
+    const offDisconnect = wallet.on("disconnect", () => disconnectWallet());
+    return () => {
+      offAccount();
+      offDisconnect();
+    };
+  }
+
   async function disconnectWallet() {
+    const wallet = walletRef.current;
+    walletRef.current = null;
     try {
-      const provider = window.solana;
-      if (provider?.disconnect) {
-        await provider.disconnect();
-      }
+      wallet?.off?.();
+      await wallet?.disconnect();
     } catch (_) {
-      // ignore phantom quirks
+      // ignore wallet quirks
     } finally {
+      const sess = loadSession();
+      if (sess) {
+        saveSession(null);
+        api("/auth/logout", { token: sess.token }).catch(() => {});
+        reauthSocket(null);
+      }
       setWalletAddr(null);
-      setHasFullAccess(false);
-      setDemoUsed(0);
+      setTierId(null);
+      setHoldRatio(0);
       setRpcNote("");
       showToast("Wallet disconnected");
     }
   }
 
+  /**
+   * Server verdict:
+   * { full, demoUsed, demoLimit, tier?, ratio?, balance?, reason? }
+   */
+  function applyAccess(a) {
+    const full = !!a?.full;
+    if (full && !hasFullAccessRef.current) showToast("Access granted ✅");
+    setHasFullAccess(full);
+    if (a?.demoUsed != null) setDemoUsed(a.demoUsed);
+    if (a?.demoLimit != null) {
+      serverLimitRef.current = true;
+      setDemoLimit(a.demoLimit);
+    }
+    if (a?.tier != null) setTierId(a.tier);
+    if (a?.ratio != null) setHoldRatio(Number(a.ratio) || 0);
+    if (a?.reason) setRpcNote(a.reason);
+    else if (a?.balance != null) {
+      setRpcNote(`Verified: ${Number(a.balance).toLocaleString()} tokens`);
+    }
+  }
+
   async function checkHoldings(address) {
     setCheckingHoldings(true);
     setRpcNote("");
+    const cfg = configRef.current;
     try {
-      // Holder token accounts for this mint
-      const accts = await rpc("getTokenAccountsByOwner", [
-        address,
-        { mint: CONTRACT_ADDRESS },
-        { encoding: "jsonParsed" },
-      ]);
-
-      let holderAmount = 0;
-      for (const a of accts.value || []) {
-        const tok = a.account?.data?.parsed?.info?.tokenAmount;
-        if (tok?.uiAmount) holderAmount += Number(tok.uiAmount);
-      }
-
-      const pass = holderAmount >= REQUIRED_TOKENS;
-      setHasFullAccess(pass);
-
-      if (pass) {
-        setRpcNote(`Verified: ${holderAmount.toLocaleString()} tokens`);
-        showToast("Access granted ✅");
-      } else {
-        setRpcNote(
-          `Need at least 100,000 tokens. You have ${holderAmount.toLocaleString()}.`
-        );
-        showToast("Need ≥ 100,000 tokens for full access.");
-      }
+      // any one accepted mint over its bar qualifies
+      const held = await fetchHoldings(cfg, address);
+      // display only: drawing rights come from the server's `access` event
+      const { enough, tier: reached, ratio, note } = assessHoldings(cfg, held);
+      setTierId(reached.ratio >= 1 ? reached.id : null);
+      setHoldRatio(ratio);
+      setRpcNote(note);
+      if (!enough) showToast(`Need ≥ ${requirementText(cfg)} for full access.`);
     } catch (e) {
       console.error("checkHoldings failed", e);
-      setHasFullAccess(false);
       setRpcNote("Holdings check failed. Using demo mode.");
       showToast("Holdings check failed. Demo mode.");
     } finally {
@@ -213,55 +1172,768 @@ export default function App() {
     }
   }
 
-  const canDrawNow = () => (hasFullAccess ? true : demoUsed < DEMO_LIMIT);
+  // refs so the once-only canvas listeners see current access state
+  // (the local count only mirrors the server's quota between `access` events)
+  const hasFullAccessRef = useRef(hasFullAccess);
+  const demoUsedRef = useRef(demoUsed);
+  const demoLimitRef = useRef(demoLimit);
+  useEffect(() => {
+    hasFullAccessRef.current = hasFullAccess;
+    demoUsedRef.current = demoUsed;
+    demoLimitRef.current = demoLimit;
+  }, [hasFullAccess, demoUsed, demoLimit]);
+
+  const demoState = () => ({
+    full: hasFullAccessRef.current,
+    used: demoUsedRef.current,
+    limit: demoLimitRef.current,
+  });
+  const canDrawNow = () => canDraw(demoState());
   function countDemoUse() {
-    if (!hasFullAccess) setDemoUsed((n) => Math.min(DEMO_LIMIT, n + 1));
+    setDemoUsed((used) => countDemo({ ...demoState(), used }));
+  }
+
+  /** Single-message strokes (fill, shapes, text): draw, queue, make undoable */
+  function commitStroke(fields) {
+    const s = quantize({
+      color: colorRef.current,
+      ...fields,
+      id: randomId(),
+      author: authorRef.current,
+      tier: tierRef.current.id,
+      t: Date.now(),
+    });
+    // a fill that would spill past its window paints nothing anywhere
+    if (s.tool === "fill" && !fillMask(tilesRef.current, s, BALL_RADIUS)) {
+      showToast("Nothing to fill there, or the area is too large.");
+      return false;
+    }
+    if (!spendInk(s)) return false;
+    myGesturesRef.current.add(s.id);
+    undoStackRef.current.push(s.id);
+    redoStackRef.current = [];
+    drawStrokeToBuffer(s);
+    strokesRef.current.push(s);
+    sendStroke(s);
+    countDemoUse();
+    return true;
+  }
+
+  /** Stroke the current draft would commit as (also used for the preview) */
+  function draftStroke(d) {
+    const base = {
+      tool: d.tool,
+      color: colorRef.current,
+      size: sizeRef.current,
+      filled: filledRef.current || undefined,
+    };
+    if (d.tool !== "polygon") return { ...base, ...d };
+    const pts = d.cursor ? [...d.pts, d.cursor.x, d.cursor.y] : d.pts;
+    return { ...base, pts };
+  }
+
+  /** Click (or Space) with the polygon tool; returns the vertex count */
+  function addPolygonVertex(p) {
+    const d = draftRef.current;
+    requestRender();
+    if (d?.tool !== "polygon") {
+      draftRef.current = { tool: "polygon", pts: [p.x, p.y], cursor: p };
+      return 1;
+    }
+    const near = 10 / scaleRef.current;
+    const n = d.pts.length;
+    if (n >= 6 && Math.hypot(p.x - d.pts[0], p.y - d.pts[1]) < near) {
+      finishPolygon(); // back on the first vertex
+      return 0;
+    }
+    if (
+      Math.hypot(p.x - d.pts[n - 2], p.y - d.pts[n - 1]) >
+      3 / scaleRef.current
+    ) {
+      d.pts.push(p.x, p.y);
+      if (d.pts.length >= MAX_POLY_POINTS * 2) {
+        finishPolygon();
+        return 0;
+      }
+    }
+    return d.pts.length / 2;
+  }
+
+  /** Release (or second Space) of a line / rect / ellipse draft */
+  function commitBoxDraft() {
+    const d = draftRef.current;
+    draftRef.current = null;
+    requestRender();
+    const big = Math.hypot(d.x1 - d.x0, d.y1 - d.y0) > 2 / scaleRef.current;
+    return big && commitStroke(draftStroke(d));
+  }
+
+  function finishPolygon() {
+    const d = draftRef.current;
+    draftRef.current = null;
+    if (d?.tool === "polygon" && d.pts.length >= 6) {
+      commitStroke(draftStroke({ ...d, cursor: null }));
+    }
+    requestRender();
+  }
+
+  // both clear the ref at once, so the blur that follows Enter / Escape (the
+  // input still has focus) finds no draft left to place
+  function closeText() {
+    const d = textDraftRef.current;
+    textDraftRef.current = null;
+    setTextDraft(null);
+    setTextValue("");
+    requestRender();
+    return d;
   }
 
-  // screen -> world
+  /** Start typing at world (x, y), placing any draft still open first */
+  function openText(draft) {
+    commitText();
+    const d = { ...draft, id: randomId() };
+    textDraftRef.current = { ...d, value: "" };
+    setTextDraft(d);
+  }
+
+  function commitText() {
+    const d = closeText();
+    const text = d?.value.trim().slice(0, MAX_TEXT);
+    if (!text) return;
+    if (!canDrawNow()) {
+      showToast("Demo limit reached.");
+      return;
+    }
+    commitStroke({
+      tool: "text",
+      x: d.x,
+      y: d.y,
+      text,
+      font: fontRef.current,
+      size: sizeRef.current,
+    });
+  }
+
+  function spendInk(s) {
+    const cost = inkCost(s);
+    const ok = inkRef.current.take(cost);
+    updateInkMeter();
+    if (ok) return true;
+    const now = performance.now();
+    if (now - inkToastAt.current > 2000) {
+      inkToastAt.current = now;
+      const secs = Math.ceil(inkRef.current.waitFor(cost) / 1000);
+      showToast(`Out of ink — refills in ${secs}s`);
+    }
+    return false;
+  }
+
+  // ink meter written straight to the DOM (like the HUD), not React state;
+  // it only ticks while the bucket refills
+  const inkTimerRef = useRef(0);
+  function updateInkMeter() {
+    const f = inkRef.current.fraction();
+    const el = inkBarRef.current;
+    if (el) {
+      el.style.width = `${Math.round(f * 100)}%`;
+      el.parentNode.classList.toggle("low", f < 0.15);
+      el.parentNode.setAttribute("aria-valuenow", Math.round(f * 100));
+    }
+    if (f >= 1) {
+      clearInterval(inkTimerRef.current);
+      inkTimerRef.current = 0;
+    } else if (!inkTimerRef.current) {
+      inkTimerRef.current = setInterval(updateInkMeter, 200);
+    }
+  }
+  useEffect(() => () => clearInterval(inkTimerRef.current), []);
+
+  /** -------- Moderation (hide authors, roll back regions) ---------- */
+  // applied to every client's buffer; the server bakes them into snapshots
+  const hiddenAuthorsRef = useRef(new Set());
+  const rollbacksRef = useRef([]);
+  const isModerator = !!walletAddr && config.moderators.includes(walletAddr);
+  const [modOpen, setModOpen] = useState(false);
+  const [modAuthors, setModAuthors] = useState([]);
+  const [modShape, setModShape] = useState(null);
+  const [modSelect, setModSelect] = useState(null); // "rect" | "lasso"
+  const [modWindow, setModWindow] = useState(15); // minutes to roll back
+  const modShapeRef = useRef(null);
+  const modSelectRef = useRef(null);
+  const selectionRef = useRef(null); // shape being dragged out
+  useEffect(() => {
+    modShapeRef.current = modShape;
+    modSelectRef.current = modSelect;
+    requestRender();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [modShape, modSelect]);
+
+  /** History minus hidden authors (what exports and replays show) */
+  function visibleStrokes() {
+    const hidden = hiddenAuthorsRef.current;
+    return strokesRef.current.filter((s) => !hidden.has(s.author));
+  }
+
+  function setAuthorHidden(author, hidden) {
+    const set = hiddenAuthorsRef.current;
+    if (set.has(author) === hidden) return;
+    if (hidden) set.add(author);
+    else set.delete(author);
+    redrawBufferRegion(
+      strokesBounds(strokesRef.current.filter((s) => s.author === author))
+    );
+    refreshModAuthors();
+  }
+
+  function addRollback(m) {
+    const r = toRollback(m);
+    if (!r || rollbacksRef.current.some((o) => o.id === r.id)) return;
+    rollbacksRef.current.push(r);
+    // ink baked into the snapshot can't be cut here: the server re-sends the
+    // room (with the rollback applied) on a plain join
+    if (snapshotRef.current.length && r.after < snapshotSeqRef.current) {
+      reloadHistory();
+      return;
+    }
+    redrawBufferRegion(r.bounds);
+  }
+
+  function reloadHistory() {
+    if (!socket.connected) return;
+    syncRef.current.lastSeq = 0;
+    socket.emit("join", { room });
+  }
+
+  /** Full state from the server: { hidden: [author], rollbacks: [...] } */
+  function applyModeration(m) {
+    const hidden = new Set(m?.hidden || []);
+    const rollbacks = (m?.rollbacks || []).map(toRollback).filter(Boolean);
+    const key = (h, rs) => [...h].sort().join() + "|" + rs.map((r) => r.id);
+    if (
+      key(hidden, rollbacks) ===
+      key(hiddenAuthorsRef.current, rollbacksRef.current)
+    ) {
+      return;
+    }
+    hiddenAuthorsRef.current = hidden;
+    rollbacksRef.current = rollbacks;
+    const R = BALL_RADIUS;
+    redrawBufferRegion({ x: -R, y: -R, w: 2 * R, h: 2 * R });
+    refreshModAuthors();
+  }
+
+  /** Authors in the loaded history, most strokes first */
+  function refreshModAuthors() {
+    const counts = new Map();
+    for (const s of strokesRef.current) {
+      if (s.author) counts.set(s.author, (counts.get(s.author) || 0) + 1);
+    }
+    setModAuthors(
+      [...counts]
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, 50)
+        .map(([author, count]) => ({
+          author,
+          count,
+          hidden: hiddenAuthorsRef.current.has(author),
+        }))
+    );
+  }
+
+  // server re-checks the moderator list; ack: { error?, ... }
+  function modEmit(event, payload, onDone) {
+    socket.timeout(ACK_TIMEOUT).emit(event, payload, (err, res) => {
+      if (err || res?.error) {
+        showToast(res?.error || "Moderation request failed");
+      } else {
+        onDone(res);
+      }
+    });
+  }
+
+  function hideAuthor(author, hidden) {
+    modEmit("mod:hide", { author, hidden }, () => {
+      setAuthorHidden(author, hidden);
+      showToast(hidden ? "Author hidden" : "Author restored");
+    });
+  }
+
+  function rollbackRegion() {
+    if (!modShape) return;
+    const m = { id: randomId(), shape: modShape, minutes: modWindow };
+    // the server picks the stroke range; ack: { rollback }
+    modEmit("mod:rollback", m, (res) => {
+      addRollback(res?.rollback);
+      setModShape(null);
+      showToast("Region rolled back");
+    });
+  }
+
+  function authorLabel(author) {
+    return author.startsWith("anon-")
+      ? "Anon " + author.slice(5, 9)
+      : shortAddr(author);
+  }
+
+  /** -------- Region claims (holders lock a rectangle for a while) ---------- */
+  const claimsRef = useRef([]); // every claim heard of this session
+  const [myClaims, setMyClaims] = useState([]);
+  const [claimsOpen, setClaimsOpen] = useState(false);
+  const [claiming, setClaiming] = useState(false); // dragging one out
+  const claimingRef = useRef(false);
+  const claimAreaRef = useRef(0);
+  const claimArea = walletAddr ? maxClaimArea(config, holdRatio) : 0;
+  const canClaim = tier.claims > 0 && claimArea > 0;
+  useEffect(() => {
+    claimingRef.current = claiming;
+    claimAreaRef.current = claimArea;
+  }, [claiming, claimArea]);
+
+  function refreshMyClaims() {
+    const now = Date.now();
+    setMyClaims(
+      claimsRef.current.filter(
+        (c) => c.owner === authorRef.current && isLive(c, now)
+      )
+    );
+  }
+
+  function addClaim(m) {
+    const c = toClaim(m);
+    if (!c) return;
+    const i = claimsRef.current.findIndex((o) => o.id === c.id);
+    if (i >= 0) claimsRef.current[i] = c;
+    else claimsRef.current.push(c);
+    redrawBufferRegion(c.bounds);
+    refreshMyClaims();
+  }
+
+  /** Live list from the server on join: [{ id, owner, rect, at, until }] */
+  function applyClaims(list) {
+    const claims = (Array.isArray(list) ? list : [])
+      .map(toClaim)
+      .filter(Boolean);
+    const key = (cs) => cs.map((c) => c.id + ":" + c.until).join();
+    if (key(claims) !== key(claimsRef.current)) {
+      claimsRef.current = claims;
+      const R = BALL_RADIUS;
+      redrawBufferRegion({ x: -R, y: -R, w: 2 * R, h: 2 * R });
+    }
+    refreshMyClaims();
+  }
+
+  // a released claim ends now; ink numbered while it ran stays clipped
+  function endClaim(id, endSeq) {
+    const c = claimsRef.current.find((o) => o.id === id);
+    if (!c) return;
+    c.until = Math.min(c.until, Date.now());
+    c.endSeq = endSeq ?? c.endSeq ?? syncRef.current.lastSeq;
+    refreshMyClaims();
+    requestRender();
+  }
+
+  function requestClaim(rect) {
+    const live = claimsRef.current.filter(
+      (c) => c.owner === authorRef.current && isLive(c)
+    );
+    if (live.length >= tierRef.current.claims) {
+      showToast(`Your tier allows ${tierRef.current.claims} claim(s) at once.`);
+      return;
+    }
+    const m = {
+      id: randomId(),
+      rect,
+      minutes: configRef.current.claim.minutes,
+    };
+    socket.timeout(ACK_TIMEOUT).emit("claim", m, (err, res) => {
+      if (err || res?.error || !res?.claim) {
+        showToast(res?.error || "Claim failed");
+        return;
+      }
+      addClaim(res.claim);
+      showToast(`Region locked until ${clockTime(res.claim.until)}`);
+    });
+  }
+
+  // ack: { endSeq?, error? }
+  function releaseClaim(id) {
+    socket.timeout(ACK_TIMEOUT).emit("claim:release", { id }, (err, res) => {
+      if (err || res?.error) {
+        showToast(res?.error || "Release failed");
+        return;
+      }
+      endClaim(id, res?.endSeq);
+    });
+  }
+
+  // claims lapse on their own: drop them from the overlay and list, and
+  // close the range here in case the server's claim:release is late
+  useEffect(() => {
+    const id = setInterval(() => {
+      const now = Date.now();
+      const lapsed = claimsRef.current.filter(
+        (c) => c.until <= now && c.until > now - CLAIM_TICK
+      );
+      for (const c of lapsed) {
+        if (c.endSeq == null) c.endSeq = syncRef.current?.lastSeq ?? null;
+      }
+      if (lapsed.length) {
+        refreshMyClaims();
+        requestRender();
+      }
+    }, CLAIM_TICK);
+    return () => clearInterval(id);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  function goToClaim(c) {
+    const r = c.rect;
+    const canvas = canvasRef.current;
+    const fit = canvas
+      ? 0.8 * Math.min(canvas.clientWidth / r.w, canvas.clientHeight / r.h)
+      : scaleRef.current;
+    animateView({
+      offset: { x: -(r.x + r.w / 2), y: -(r.y + r.h / 2) },
+      scale: clampScale(fit),
+    });
+  }
+
+  /** Current camera as a view.js view */
+  function currentView() {
+    const canvas = canvasRef.current;
+    return {
+      width: canvas.clientWidth,
+      height: canvas.clientHeight,
+      offset: offsetRef.current,
+      scale: scaleRef.current,
+      radius: BALL_RADIUS,
+      rot: sphereModeRef.current ? sphereRef.current.rot : null,
+    };
+  }
+
+  // screen -> world (null off the sphere)
   function toWorld(clientX, clientY) {
+    const rect = canvasRef.current.getBoundingClientRect();
+    return screenToWorld(
+      currentView(),
+      clientX - rect.left,
+      clientY - rect.top
+    );
+  }
+
+  /** Fit-on-load helper */
+  function resetViewToBall(canvas, animate = false) {
+    const fit = fitBall(canvas.clientWidth, canvas.clientHeight, BALL_RADIUS);
+    if (animate) return animateView(fit);
+    scaleRef.current = fit.scale;
+    offsetRef.current = fit.offset; // center the ball at origin
+    requestRender();
+  }
+
+  /** -------- Camera: eased moves between views ---------- */
+  const cameraRef = useRef(0); // rAF id of the running transition
+
+  function stopCamera() {
+    cancelAnimationFrame(cameraRef.current);
+    cameraRef.current = 0;
+  }
+
+  /** Ease to { offset?, scale? } (scale interpolated geometrically) */
+  function animateView(to, ms = CAMERA_MS) {
+    stopCamera();
+    const from = { offset: { ...offsetRef.current }, scale: scaleRef.current };
+    const offset = to.offset || from.offset;
+    const scale = to.scale ?? from.scale;
+    if (reduceMotionRef.current || ms <= 0) {
+      offsetRef.current = { ...offset };
+      scaleRef.current = scale;
+      requestRender();
+      return;
+    }
+    const t0 = performance.now();
+    const step = (now) => {
+      const k = Math.min(1, (now - t0) / ms);
+      const e = 1 - Math.pow(1 - k, 3);
+      scaleRef.current = from.scale * Math.pow(scale / from.scale, e);
+      offsetRef.current = {
+        x: from.offset.x + (offset.x - from.offset.x) * e,
+        y: from.offset.y + (offset.y - from.offset.y) * e,
+      };
+      requestRender();
+      cameraRef.current = k < 1 ? requestAnimationFrame(step) : 0;
+    };
+    cameraRef.current = requestAnimationFrame(step);
+  }
+
+  function zoomBy(f) {
+    animateView({ scale: clampScale(scaleRef.current * f) });
+  }
+
+  /** Arrow keys: pan by a fraction of the screen (rotate in sphere mode) */
+  function nudgeView(dx, dy) {
     const canvas = canvasRef.current;
-    const rect = canvas.getBoundingClientRect();
-    const cssX = clientX - rect.left;
-    const cssY = clientY - rect.top;
-    const { x: ox, y: oy } = offsetRef.current;
+    const px = dx * canvas.clientWidth * 0.2,
+      py = dy * canvas.clientHeight * 0.2;
+    if (sphereModeRef.current) {
+      const sp = sphereRef.current;
+      sp.rot = dragRotate(sp.rot, -px, -py, BALL_RADIUS * scaleRef.current);
+      requestRender();
+      return;
+    }
     const s = scaleRef.current;
-    const worldX = (cssX - canvas.clientWidth / 2) / s - ox;
-    const worldY = (cssY - canvas.clientHeight / 2) / s - oy;
-    return { x: worldX, y: worldY };
+    animateView(
+      {
+        offset: {
+          x: offsetRef.current.x - px / s,
+          y: offsetRef.current.y - py / s,
+        },
+      },
+      CAMERA_MS / 2
+    );
   }
 
-  /** Fit-on-load helper */
-  function resetViewToBall(canvas) {
-    const margin = 40; // px margin around the ball
-    const ballDiameter = BALL_RADIUS * 2;
-    const scaleX = (canvas.clientWidth - margin * 2) / ballDiameter;
-    const scaleY = (canvas.clientHeight - margin * 2) / ballDiameter;
-    scaleRef.current = Math.min(scaleX, scaleY);
-    offsetRef.current = { x: 0, y: 0 }; // center the ball at origin
-    needsRender.current = true;
+  /** -------- Minimap ---------- */
+  const miniRef = useRef(null);
+  const miniDragRef = useRef(false);
+  // the whole-ball image, rebuilt only when the tiles change (at most every
+  // MINIMAP_MS); the map itself is repainted only when that or the view does
+  const miniCacheRef = useRef({
+    ball: null,
+    tiles: null,
+    version: -1,
+    at: 0,
+    timer: 0,
+  });
+  const miniViewRef = useRef("");
+
+  function paintMinimap() {
+    const mini = miniRef.current;
+    if (!mini) return;
+    const px = Math.round(MINIMAP_SIZE * dprRef.current);
+    const R = BALL_RADIUS;
+    const k = px / (2 * R);
+    const rebuilt = updateMiniBall(px, k);
+    const v = visibleRect();
+    const view = [v.x, v.y, v.w, v.h].map(Math.round).join();
+    if (!rebuilt && mini.width === px && view === miniViewRef.current) return;
+    miniViewRef.current = view;
+    if (mini.width !== px) mini.width = mini.height = px;
+    const ctx = mini.getContext("2d");
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.clearRect(0, 0, px, px);
+    if (miniCacheRef.current.ball) {
+      ctx.drawImage(miniCacheRef.current.ball, 0, 0);
+    }
+    ctx.setTransform(k, 0, 0, k, px / 2, px / 2);
+    ctx.lineWidth = 2 / k;
+    ctx.strokeStyle = "#ff8c00";
+    ctx.strokeRect(v.x, v.y, v.w, v.h);
+  }
+
+  /** Redraw the cached ball if its tiles changed; true when it did */
+  function updateMiniBall(px, k) {
+    const c = miniCacheRef.current;
+    const tiles = viewTiles();
+    if (
+      c.ball?.width === px &&
+      c.tiles === tiles &&
+      c.version === tiles.version
+    ) {
+      return false;
+    }
+    const now = performance.now();
+    if (c.ball && c.tiles === tiles && now - c.at < MINIMAP_MS) {
+      // ink is landing: try again once the interval has passed
+      if (!c.timer) {
+        const wait = MINIMAP_MS - (now - c.at);
+        c.timer = setTimeout(() => {
+          c.timer = 0;
+          requestRender();
+        }, wait);
+      }
+      return false;
+    }
+    const ball = c.ball || document.createElement("canvas");
+    if (ball.width !== px) ball.width = ball.height = px;
+    const R = BALL_RADIUS;
+    const bctx = ball.getContext("2d");
+    bctx.setTransform(1, 0, 0, 1, 0, 0);
+    bctx.clearRect(0, 0, px, px);
+    bctx.setTransform(k, 0, 0, k, px / 2, px / 2);
+    bctx.beginPath();
+    bctx.arc(0, 0, R, 0, Math.PI * 2);
+    bctx.fillStyle = BALL_COLOR;
+    bctx.fill();
+    bctx.clip();
+    tiles.draw(bctx, { x: -R, y: -R, w: 2 * R, h: 2 * R }, k);
+    Object.assign(c, { ball, tiles, version: tiles.version, at: now });
+    return true;
+  }
+
+  function miniToWorld(e) {
+    const rect = miniRef.current.getBoundingClientRect();
+    return {
+      x: ((e.clientX - rect.left) / rect.width - 0.5) * 2 * BALL_RADIUS,
+      y: ((e.clientY - rect.top) / rect.height - 0.5) * 2 * BALL_RADIUS,
+    };
+  }
+
+  function onMiniDown(e) {
+    e.currentTarget.setPointerCapture?.(e.pointerId);
+    miniDragRef.current = true;
+    const w = miniToWorld(e);
+    animateView({ offset: { x: -w.x, y: -w.y } });
+  }
+
+  function onMiniMove(e) {
+    if (!miniDragRef.current) return;
+    stopCamera();
+    const w = miniToWorld(e);
+    offsetRef.current = { x: -w.x, y: -w.y };
+    requestRender();
   }
 
-  /** Setup once (do NOT depend on color/size to prevent resets) **/
+  /** Restore a shared view from `#view=x,y,scale`; false if there is none */
+  function applyViewHash() {
+    const v = parseViewHash(window.location.hash);
+    if (!v || ![v.offset.x, v.offset.y, v.scale].every(Number.isFinite)) {
+      return false;
+    }
+    offsetRef.current = v.offset;
+    scaleRef.current = clampScale(v.scale);
+    requestRender();
+    return true;
+  }
+
+  /** -------- Export + share ---------- */
+  function visibleRect() {
+    const canvas = canvasRef.current;
+    const s = scaleRef.current;
+    return {
+      x: -canvas.clientWidth / 2 / s - offsetRef.current.x,
+      y: -canvas.clientHeight / 2 / s - offsetRef.current.y,
+      w: canvas.clientWidth / s,
+      h: canvas.clientHeight / s,
+    };
+  }
+
+  /** Download file name prefix, e.g. "pump-ball" */
+  function fileStem() {
+    return configRef.current.name.toLowerCase().replace(/[^a-z0-9]+/g, "-");
+  }
+
+  async function exportAs(kind) {
+    const base =
+      fileStem() +
+      "-" +
+      new Date().toISOString().slice(0, 19).replace(/[:T]/g, "");
+    const tiles = tilesRef.current;
+    try {
+      // ink older than the room's snapshot exists only as its images
+      const raster = () => {
+        const parts = snapshotBase(snapshotRef.current);
+        if (parts.length) {
+          showToast("Ink before the last snapshot is included as an image.");
+        }
+        return parts;
+      };
+      if (kind === "svg") {
+        const svg = strokesToSVG(
+          visibleStrokes(),
+          BALL_RADIUS,
+          raster(),
+          strokeCuts
+        );
+        downloadBlob(new Blob([svg], { type: "image/svg+xml" }), base + ".svg");
+      } else if (kind === "json") {
+        const json = strokesToJSON(
+          visibleStrokes(),
+          BALL_RADIUS,
+          raster(),
+          strokeCuts
+        );
+        downloadBlob(
+          new Blob([json], { type: "application/json" }),
+          base + ".json"
+        );
+      } else if (kind.startsWith("view")) {
+        // sphere mode has no flat region on screen: take the frame as drawn
+        const k = Number(kind.slice(5)) || 1;
+        const canvas = sphereModeRef.current
+          ? canvasRef.current
+          : renderRegion(
+              tiles,
+              BALL_RADIUS,
+              visibleRect(),
+              canvasRef.current.clientWidth * k
+            );
+        downloadBlob(await canvasToBlob(canvas), base + "-view.png");
+      } else {
+        const px = Number(kind.slice(4)) || 2048;
+        const ball = {
+          x: -BALL_RADIUS,
+          y: -BALL_RADIUS,
+          w: BALL_RADIUS * 2,
+          h: BALL_RADIUS * 2,
+        };
+        const canvas = renderRegion(tiles, BALL_RADIUS, ball, px);
+        downloadBlob(await canvasToBlob(canvas), `${base}-${px}.png`);
+      }
+    } catch (e) {
+      console.error("export failed", e);
+      showToast("Export failed: " + e.message);
+    }
+  }
+
+  function shareView() {
+    const hash = viewHash(offsetRef.current, scaleRef.current);
+    window.history.replaceState(null, "", hash);
+    const url = window.location.href;
+    navigator.clipboard
+      .writeText(url)
+      .then(() => showToast("Link to this view copied ✅"))
+      .catch(() => showToast(url, 4000));
+  }
+
+  /** Forget everything from the previous room */
+  function resetRoomState() {
+    if (replayRef.current) closeReplay();
+    strokesRef.current = [];
+    snapshotRef.current = [];
+    // unsent ink belonged to the old room; it is dropped, not re-sent here
+    cancelAnimationFrame(flushRafRef.current);
+    flushRafRef.current = 0;
+    outboxRef.current = [];
+    pendingRef.current.clear();
+    queuedEventsRef.current = [];
+    myGesturesRef.current.clear();
+    undoStackRef.current = [];
+    redoStackRef.current = [];
+    gestureRef.current = null;
+    presenceRef.current.clear();
+    hiddenAuthorsRef.current = new Set();
+    rollbacksRef.current = [];
+    claimsRef.current = [];
+    setMyClaims([]);
+    setClaiming(false);
+    selectionRef.current = null;
+    setModShape(null);
+    setUnsent(0);
+    setLoading(null);
+    syncPeers();
+  }
+
+  /** Set up per room (do NOT depend on color/size to prevent resets) **/
   useEffect(() => {
+    if (room == null) return; // lobby: no canvas session
     const canvas = canvasRef.current;
     const ctx = canvas.getContext("2d");
     ctxRef.current = ctx;
+    const sphere = sphereRef.current;
 
-    // init buffer
-    const b = document.createElement("canvas");
-    b.width = BUF_SIZE;
-    b.height = BUF_SIZE;
-    const bctx = b.getContext("2d");
-    bctx.save();
-    bctx.beginPath();
-    bctx.arc(BUF_SIZE / 2, BUF_SIZE / 2, BALL_RADIUS, 0, Math.PI * 2);
-    bctx.clip();
-    bctx.fillStyle = "#ffffff";
-    bctx.fillRect(0, 0, BUF_SIZE, BUF_SIZE);
-    bctx.restore();
-    bufferCanvasRef.current = b;
-    bufferCtxRef.current = bctx;
+    // init buffer (tiles are transparent; the ball's white is drawn per frame)
+    resetRoomState();
+    tilesRef.current = createTileStore({ radius: BALL_RADIUS });
 
     const resize = () => {
       const dpr = Math.max(1, window.devicePixelRatio || 1);
@@ -273,203 +1945,854 @@ export default function App() {
       canvas.style.width = cssW + "px";
       canvas.style.height = cssH + "px";
       ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
-      needsRender.current = true;
+      requestRender();
+    };
+    window.addEventListener("resize", resize, { passive: true });
+    resize();
+    // a shared link opens on its view, otherwise show the full ball
+    if (!applyViewHash()) resetViewToBall(canvas);
+    window.addEventListener("hashchange", applyViewHash);
+
+    // zoom
+    const onWheel = (e) => {
+      e.preventDefault();
+      stopCamera();
+      const delta = -e.deltaY;
+      const zoomIntensity = 0.0015;
+      const s0 = scaleRef.current;
+      const s1 = clampScale(s0 * (1 + delta * zoomIntensity));
+      if (sphereModeRef.current) {
+        // the sphere stays centred; zoom just changes its size
+        scaleRef.current = s1;
+        requestRender();
+        return;
+      }
+      const before = toWorld(e.clientX, e.clientY);
+      scaleRef.current = s1;
+      const after = toWorld(e.clientX, e.clientY);
+      offsetRef.current = {
+        x: offsetRef.current.x + (after.x - before.x),
+        y: offsetRef.current.y + (after.y - before.y),
+      };
+      requestRender();
+    };
+    canvas.addEventListener("wheel", onWheel, { passive: false });
+
+    // pointer input
+    const onPointerDown = (e) => {
+      canvas.setPointerCapture?.(e.pointerId);
+      stopCamera();
+      if (e.pointerType === "touch") {
+        touchesRef.current.set(e.pointerId, { x: e.clientX, y: e.clientY });
+        if (touchesRef.current.size === 2) {
+          startPinch();
+          return;
+        }
+        if (pinchRef.current) return; // a third finger joins nothing
+      }
+      if (
+        replayRef.current || // replay is view-only
+        panModeRef.current ||
+        e.button === 1 ||
+        e.button === 2 ||
+        e.shiftKey ||
+        e.altKey ||
+        e.metaKey ||
+        e.ctrlKey
+      ) {
+        panningRef.current = true;
+        panStart.current = { x: e.clientX, y: e.clientY };
+        offsetStart.current = { ...offsetRef.current };
+        return;
+      }
+      const p = toWorld(e.clientX, e.clientY);
+      const pick =
+        modSelectRef.current || (claimingRef.current ? "claim" : null);
+      if (p && pick) {
+        // marking a region (moderation or a claim) instead of drawing
+        selectionRef.current = { kind: pick, pts: [p.x, p.y, p.x, p.y] };
+        return;
+      }
+      if (!p) {
+        // sphere mode: dragging beside the sphere rotates it
+        panningRef.current = true;
+        panStart.current = { x: e.clientX, y: e.clientY };
+        return;
+      }
+      if (!canDrawNow()) {
+        showToast(
+          `Need ${requirementText(
+            configRef.current
+          )} to keep drawing — demo limit reached.`
+        );
+        return;
+      }
+      const tool = toolRef.current;
+      if (tool === "fill") {
+        if (Math.hypot(p.x, p.y) > BALL_RADIUS) return;
+        commitStroke({
+          tool: "fill",
+          x: Math.round(p.x),
+          y: Math.round(p.y),
+          tolerance: 32,
+        });
+        return;
+      }
+      if (tool === "text") {
+        if (Math.hypot(p.x, p.y) > BALL_RADIUS) return;
+        openText({ x: p.x, y: p.y, sx: e.clientX, sy: e.clientY });
+        return;
+      }
+      if (tool === "polygon") {
+        addPolygonVertex(p);
+        return;
+      }
+      if (SHAPE_TOOLS.includes(tool)) {
+        draftRef.current = { tool, x0: p.x, y0: p.y, x1: p.x, y1: p.y };
+        return;
+      }
+      drawingRef.current = true;
+      const pressure = penPressure(e);
+      // quadratic midpoint smoothing: each segment runs from the previous
+      // midpoint to the next one, using the raw sample between as control
+      gestureRef.current = {
+        id: randomId(),
+        at: performance.now(),
+        started: false,
+        // a touch may still turn into a pinch: its first segments are only
+        // drawn locally until STROKE_CANCEL_MS has passed
+        hold: e.pointerType === "touch",
+        held: [],
+        last: p,
+        lastP: pressure,
+        mid: p,
+        midP: pressure,
+      };
+      lastPos.current = p;
+    };
+
+    // pens report real pressure; mouse/touch keep the fixed-width behaviour
+    const penPressure = (e) =>
+      e.pointerType === "pen" && e.pressure > 0
+        ? Math.round(e.pressure * 100) / 100
+        : null;
+
+    // per-tool payload fields; plain brush strokes stay in the legacy shape
+    const toolParams = (seg) => {
+      switch (toolRef.current) {
+        case "eraser":
+          return { tool: "eraser" };
+        case "highlighter":
+          delete seg.p0;
+          delete seg.p1;
+          return {
+            tool: "highlighter",
+            color: colorRef.current,
+            opacity: opacityRef.current,
+          };
+        case "spray":
+          return {
+            tool: "spray",
+            color: colorRef.current,
+            seed: (Math.random() * 2 ** 31) | 0,
+            density: Math.round(8 + sizeRef.current * 1.5),
+          };
+        default:
+          return { color: colorRef.current };
+      }
+    };
+
+    const emitSegment = (seg) => {
+      const g = gestureRef.current;
+      const params = toolParams(seg);
+      const stroke = quantize({
+        ...seg,
+        ...params,
+        size: sizeRef.current,
+        id: g.id,
+        author: authorRef.current,
+        tier: tierRef.current.id,
+        t: Date.now(),
+      });
+      if (g.hold) {
+        if (performance.now() - g.at < STROKE_CANCEL_MS) {
+          g.held.push(stroke);
+          drawStrokeToBuffer(stroke);
+          strokesRef.current.push(stroke);
+          return;
+        }
+        releaseHeld(g);
+        if (!drawingRef.current) return;
+      }
+      sendSegment(stroke, false);
+    };
+
+    // ink, the demo quota and the undo entry are spent on the first segment
+    // that actually goes out
+    const sendSegment = (stroke, drawn) => {
+      const g = gestureRef.current;
+      if (!spendInk(stroke)) {
+        // out of ink: end the gesture here; the next press starts fresh
+        drawingRef.current = false;
+        return false;
+      }
+      if (!g.started) {
+        g.started = true;
+        myGesturesRef.current.add(stroke.id);
+        undoStackRef.current.push(stroke.id);
+        redoStackRef.current = [];
+        countDemoUse();
+      }
+      if (!drawn) {
+        drawStrokeToBuffer(stroke);
+        strokesRef.current.push(stroke);
+      }
+      sendStroke(stroke);
+      return true;
+    };
+
+    /** The cancel window is over: send what was held back */
+    const releaseHeld = (g) => {
+      const held = g.held;
+      g.hold = false;
+      g.held = [];
+      for (let i = 0; i < held.length; i++) {
+        if (!sendSegment(held[i], true)) {
+          dropLocal(held.slice(i));
+          return;
+        }
+      }
+    };
+
+    /** Take back ink that was only drawn here */
+    const dropLocal = (list) => {
+      const gone = new Set(list);
+      strokesRef.current = strokesRef.current.filter((s) => !gone.has(s));
+      redrawBufferRegion(strokesBounds(list));
+    };
+
+    const addPoint = (p, pressure) => {
+      const g = gestureRef.current;
+      const mid = { x: (g.last.x + p.x) / 2, y: (g.last.y + p.y) / 2 };
+      const midP =
+        pressure == null || g.lastP == null
+          ? null
+          : Math.round(((g.lastP + pressure) / 2) * 100) / 100;
+      const seg = {
+        x0: g.mid.x,
+        y0: g.mid.y,
+        cx: g.last.x,
+        cy: g.last.y,
+        x1: mid.x,
+        y1: mid.y,
+      };
+      if (midP != null && g.midP != null) {
+        seg.p0 = g.midP;
+        seg.p1 = midP;
+      }
+      emitSegment(seg);
+      g.last = p;
+      g.lastP = pressure;
+      g.mid = mid;
+      g.midP = midP;
+    };
+
+    const finishGesture = () => {
+      // finish the tail from the last midpoint to the final sample
+      const g = gestureRef.current;
+      if (drawingRef.current && g?.hold) releaseHeld(g);
+      if (drawingRef.current && g?.started && dist(g.mid, g.last) > 0) {
+        const seg = { x0: g.mid.x, y0: g.mid.y, x1: g.last.x, y1: g.last.y };
+        if (g.midP != null && g.lastP != null) {
+          seg.p0 = g.midP;
+          seg.p1 = g.lastP;
+        }
+        emitSegment(seg);
+      }
+      drawingRef.current = false;
+      gestureRef.current = null;
     };
-    window.addEventListener("resize", resize, { passive: true });
-    resize();
-    resetViewToBall(canvas); // ensure first view shows full ball
 
-    // zoom
-    const onWheel = (e) => {
-      e.preventDefault();
-      const delta = -e.deltaY;
-      const zoomIntensity = 0.0015;
-      const s0 = scaleRef.current;
-      const s1 = Math.min(5, Math.max(0.2, s0 * (1 + delta * zoomIntensity)));
-      const before = toWorld(e.clientX, e.clientY);
-      scaleRef.current = s1;
-      const after = toWorld(e.clientX, e.clientY);
-      offsetRef.current = {
-        x: offsetRef.current.x + (after.x - before.x),
-        y: offsetRef.current.y + (after.y - before.y),
-      };
-      needsRender.current = true;
+    /** Withdraw the current stroke (still inside its cancel window, so
+     * nothing of it was sent or counted) */
+    const cancelGesture = () => {
+      const g = gestureRef.current;
+      drawingRef.current = false;
+      gestureRef.current = null;
+      if (g?.held?.length) dropLocal(g.held);
     };
-    canvas.addEventListener("wheel", onWheel, { passive: false });
 
-    // pointer input
-    const onPointerDown = (e) => {
-      canvas.setPointerCapture?.(e.pointerId);
-      if (
-        e.button === 1 ||
-        e.button === 2 ||
-        e.shiftKey ||
-        e.altKey ||
-        e.metaKey ||
-        e.ctrlKey
-      ) {
-        panningRef.current = true;
-        panStart.current = { x: e.clientX, y: e.clientY };
-        offsetStart.current = { ...offsetRef.current };
-        return;
+    /** Second finger down: drop the one-finger action and start a pinch */
+    const startPinch = () => {
+      const g = gestureRef.current;
+      if (drawingRef.current && g) {
+        if (performance.now() - g.at < STROKE_CANCEL_MS) cancelGesture();
+        else finishGesture();
       }
-      if (!canDrawNow()) {
-        showToast("Need 100,000 tokens to keep drawing — demo limit reached.");
-        return;
+      drawingRef.current = false;
+      panningRef.current = false;
+      selectionRef.current = null;
+      const [a, b] = [...touchesRef.current.values()];
+      const mid = { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+      pinchRef.current = {
+        dist: Math.max(1, dist(a, b)),
+        mid,
+        scale: scaleRef.current,
+        // world point under the fingers stays under them (flat mode)
+        world: sphereModeRef.current ? null : toWorld(mid.x, mid.y),
+      };
+    };
+
+    const movePinch = () => {
+      const pin = pinchRef.current;
+      const [a, b] = [...touchesRef.current.values()];
+      const mid = { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+      scaleRef.current = clampScale((pin.scale * dist(a, b)) / pin.dist);
+      if (pin.world) {
+        const rect = canvas.getBoundingClientRect();
+        const s = scaleRef.current;
+        offsetRef.current = {
+          x: (mid.x - rect.left - canvas.clientWidth / 2) / s - pin.world.x,
+          y: (mid.y - rect.top - canvas.clientHeight / 2) / s - pin.world.y,
+        };
+      } else {
+        // sphere: two-finger drag turns it
+        const sp = sphereRef.current;
+        sp.rot = dragRotate(
+          sp.rot,
+          mid.x - pin.mid.x,
+          mid.y - pin.mid.y,
+          BALL_RADIUS * scaleRef.current
+        );
+        pin.mid = mid;
       }
-      drawingRef.current = true;
-      lastPos.current = toWorld(e.clientX, e.clientY);
-      countDemoUse();
+      requestRender();
     };
 
     const onPointerMove = (e) => {
+      if (e.pointerType === "touch" && touchesRef.current.has(e.pointerId)) {
+        touchesRef.current.set(e.pointerId, { x: e.clientX, y: e.clientY });
+        if (pinchRef.current) {
+          if (touchesRef.current.size >= 2) movePinch();
+          return;
+        }
+      }
+      // throttled cursor broadcast (volatile: dropped rather than queued)
+      const t = performance.now();
+      if (socket.connected && t - lastCursorEmit.current > CURSOR_INTERVAL) {
+        const w = toWorld(e.clientX, e.clientY);
+        if (w) {
+          lastCursorEmit.current = t;
+          socket.volatile.emit("cursor", {
+            x: Math.round(w.x),
+            y: Math.round(w.y),
+            name: displayNameRef.current,
+          });
+        }
+      }
+      if (panningRef.current && sphereModeRef.current) {
+        const sp = sphereRef.current;
+        sp.rot = dragRotate(
+          sp.rot,
+          e.clientX - panStart.current.x,
+          e.clientY - panStart.current.y,
+          BALL_RADIUS * scaleRef.current
+        );
+        panStart.current = { x: e.clientX, y: e.clientY };
+        requestRender();
+        return;
+      }
       if (panningRef.current) {
         const s = scaleRef.current;
         offsetRef.current = {
           x: offsetStart.current.x + (e.clientX - panStart.current.x) / s,
           y: offsetStart.current.y + (e.clientY - panStart.current.y) / s,
         };
-        needsRender.current = true;
+        requestRender();
         return;
       }
-      if (!drawingRef.current || !connected) return;
+      const draft = draftRef.current;
+      if (draft) {
+        const p = toWorld(e.clientX, e.clientY);
+        if (!p) return;
+        if (draft.tool === "polygon") {
+          draft.cursor = p;
+        } else if (e.shiftKey && draft.tool !== "line") {
+          // Shift: square / circle
+          const d = Math.max(
+            Math.abs(p.x - draft.x0),
+            Math.abs(p.y - draft.y0)
+          );
+          draft.x1 = draft.x0 + Math.sign(p.x - draft.x0) * d;
+          draft.y1 = draft.y0 + Math.sign(p.y - draft.y0) * d;
+        } else {
+          draft.x1 = p.x;
+          draft.y1 = p.y;
+        }
+        requestRender();
+        return;
+      }
+      const sel = selectionRef.current;
+      if (sel) {
+        const p = toWorld(e.clientX, e.clientY);
+        if (!p) return;
+        const n = sel.pts.length;
+        if (sel.kind === "claim") {
+          const [x0, y0] = sel.pts;
+          const c = fitClaim(x0, y0, p.x, p.y, claimAreaRef.current);
+          sel.pts[2] = c.x;
+          sel.pts[3] = c.y;
+        } else if (sel.kind === "rect") {
+          sel.pts[2] = p.x;
+          sel.pts[3] = p.y;
+        } else if (
+          Math.hypot(p.x - sel.pts[n - 2], p.y - sel.pts[n - 1]) >
+          4 / scaleRef.current
+        ) {
+          sel.pts.push(p.x, p.y);
+        }
+        requestRender();
+        return;
+      }
+      if (!drawingRef.current) return;
       if (!canDrawNow()) return;
 
       const now = performance.now();
-      const p = toWorld(e.clientX, e.clientY);
-      if (dist(p, lastPos.current) < 1 && now - lastEmit.current < 12) return;
-
-      const stroke = {
-        x0: lastPos.current.x,
-        y0: lastPos.current.y,
-        x1: p.x,
-        y1: p.y,
-        color: colorRef.current,
-        size: sizeRef.current,
-      };
-      drawStrokeToBuffer(stroke);
-      strokesRef.current.push(stroke);
-      incomingQueue.current.push(null);
-      socket.emit("draw", stroke);
-
-      lastPos.current = p;
-      lastEmit.current = now;
+      const samples = e.getCoalescedEvents?.() || [];
+      for (const ev of samples.length ? samples : [e]) {
+        const p = toWorld(ev.clientX, ev.clientY);
+        if (!p) continue;
+        if (dist(p, lastPos.current) < 1 && now - lastEmit.current < 12) {
+          continue;
+        }
+        addPoint(p, penPressure(ev));
+        lastPos.current = p;
+        lastEmit.current = now;
+      }
     };
 
-    const onPointerUp = () => {
-      drawingRef.current = false;
+    const onPointerUp = (e) => {
+      if (e?.pointerType === "touch") {
+        touchesRef.current.delete(e.pointerId);
+        if (pinchRef.current) {
+          // the pinch ends when every finger is up
+          if (!touchesRef.current.size) pinchRef.current = null;
+          return;
+        }
+      }
+      const draft = draftRef.current;
+      if (draft && draft.tool !== "polygon") {
+        commitBoxDraft();
+        return;
+      }
+      const sel = selectionRef.current;
+      if (sel) {
+        selectionRef.current = null;
+        if (sel.kind === "claim") {
+          setClaiming(false);
+          const shape = selectionShape(sel);
+          if (shape) requestClaim(shape.rect);
+          requestRender();
+          return;
+        }
+        setModSelect(null);
+        setModShape(selectionShape(sel));
+        return;
+      }
+      finishGesture();
       panningRef.current = false;
     };
 
+    // undo / redo (Ctrl/Cmd+Z, Ctrl/Cmd+Shift+Z, Ctrl+Y)
+    const onKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey)) return;
+      const tag = e.target?.tagName;
+      if (tag === "INPUT" || tag === "TEXTAREA") return;
+      const key = e.key.toLowerCase();
+      if (key === "z" && !e.shiftKey) {
+        e.preventDefault();
+        undo();
+      } else if ((key === "z" && e.shiftKey) || key === "y") {
+        e.preventDefault();
+        redo();
+      }
+    };
+    window.addEventListener("keydown", onKeyDown);
+
+    // arrows pan, +/- zoom, 0 fits the ball
+    const onNavKey = (e) => {
+      if (e.defaultPrevented || e.ctrlKey || e.metaKey || e.altKey) return;
+      const tag = e.target?.tagName;
+      if (tag === "INPUT" || tag === "TEXTAREA" || tag === "SELECT") return;
+      const nav = {
+        ArrowLeft: () => nudgeView(-1, 0),
+        ArrowRight: () => nudgeView(1, 0),
+        ArrowUp: () => nudgeView(0, -1),
+        ArrowDown: () => nudgeView(0, 1),
+        "+": () => zoomBy(1.5),
+        "=": () => zoomBy(1.5),
+        "-": () => zoomBy(1 / 1.5),
+        _: () => zoomBy(1 / 1.5),
+        0: () => resetViewToBall(canvas, true),
+      }[e.key];
+      if (!nav) return;
+      e.preventDefault();
+      nav();
+    };
+    window.addEventListener("keydown", onNavKey);
+
+    // polygon: Enter or double-click closes it, Escape drops any draft;
+    // keys typed into inputs, dialogs and buttons are left to them
+    const onDraftKey = (e) => {
+      if (!draftRef.current) return;
+      const focus = document.activeElement;
+      if (focus && focus !== canvas && focus !== document.body) return;
+      if (e.key === "Enter") finishPolygon();
+      else if (e.key === "Escape") {
+        draftRef.current = null;
+        requestRender();
+      } else return;
+      e.preventDefault();
+      e.stopImmediatePropagation();
+    };
+    window.addEventListener("keydown", onDraftKey, true);
+    canvas.addEventListener("dblclick", finishPolygon);
+
+    // keyboard drawing (canvas focused): arrows move the cursor, Space acts
+    // like a press of the current tool, Escape lifts the pen
+    const penDown = (p) => {
+      drawingRef.current = true;
+      gestureRef.current = {
+        id: randomId(),
+        at: performance.now(),
+        started: false,
+        keyboard: true,
+        last: p,
+        lastP: null,
+        mid: p,
+        midP: null,
+      };
+      announce(`Pen down, ${describePoint(p)}`);
+    };
+    const penUp = () => {
+      finishGesture();
+      announce("Pen up");
+    };
+    const keepInView = (p) => {
+      const view = currentView();
+      const sp = worldToScreen(view, p.x, p.y);
+      const m = 80;
+      if (
+        sp.x < m ||
+        sp.y < m ||
+        sp.x > view.width - m ||
+        sp.y > view.height - m
+      ) {
+        animateView({ offset: { x: -p.x, y: -p.y } });
+      }
+    };
+    const moveKeyCursor = (dx, dy) => {
+      const from = kbCursorRef.current;
+      const p = moveCursor(from, dx, dy, BALL_RADIUS);
+      kbCursorRef.current = p;
+      const draft = draftRef.current;
+      if (draft?.tool === "polygon") {
+        draft.cursor = p;
+      } else if (draft) {
+        draft.x1 = p.x;
+        draft.y1 = p.y;
+      } else if (drawingRef.current && gestureRef.current?.keyboard) {
+        if (canDrawNow()) {
+          emitSegment({ x0: from.x, y0: from.y, x1: p.x, y1: p.y });
+        }
+        if (!drawingRef.current) penUp(); // out of ink
+      }
+      keepInView(p);
+      requestRender();
+    };
+    const keyPress = () => {
+      const p = kbCursorRef.current;
+      const tool = toolRef.current;
+      if (drawingRef.current) return penUp();
+      if (!canDrawNow()) {
+        showToast("Demo limit reached — connect a wallet to keep drawing.");
+        return;
+      }
+      if (tool === "fill") {
+        const ok = commitStroke({
+          tool: "fill",
+          x: Math.round(p.x),
+          y: Math.round(p.y),
+          tolerance: 32,
+        });
+        if (ok) announce(`Filled ${describePoint(p)}`);
+      } else if (tool === "text") {
+        const rect = canvas.getBoundingClientRect();
+        const sp = worldToScreen(currentView(), p.x, p.y);
+        openText({ x: p.x, y: p.y, sx: rect.left + sp.x, sy: rect.top + sp.y });
+      } else if (tool === "polygon") {
+        const n = addPolygonVertex(p);
+        if (n) announce(`Corner ${n}, ${describePoint(p)}. Enter closes.`);
+      } else if (SHAPE_TOOLS.includes(tool)) {
+        if (!draftRef.current) {
+          draftRef.current = { tool, x0: p.x, y0: p.y, x1: p.x, y1: p.y };
+          announce("Shape started. Move, then Space to place it.");
+        } else if (commitBoxDraft()) {
+          announce("Shape placed.");
+        }
+      } else {
+        penDown(p);
+      }
+      requestRender();
+    };
+    const onCanvasKey = (e) => {
+      if (!kbModeRef.current || sphereModeRef.current) return;
+      if (e.ctrlKey || e.metaKey || e.altKey) return;
+      const step = cursorStep(e.key, e.shiftKey, scaleRef.current);
+      if (step) moveKeyCursor(step.dx, step.dy);
+      else if (e.key === " ") keyPress();
+      else if (e.key === "Escape" && drawingRef.current) penUp();
+      else return;
+      e.preventDefault(); // also keeps onNavKey from panning
+    };
+    canvas.addEventListener("keydown", onCanvasKey);
+
     canvas.addEventListener("pointerdown", onPointerDown);
     canvas.addEventListener("pointermove", onPointerMove);
     canvas.addEventListener("pointerup", onPointerUp);
     canvas.addEventListener("pointerleave", onPointerUp);
     canvas.addEventListener("pointercancel", onPointerUp);
-    canvas.addEventListener("contextmenu", (e) => e.preventDefault());
+    const noMenu = (e) => e.preventDefault();
+    canvas.addEventListener("contextmenu", noMenu);
     canvas.style.touchAction = "none";
 
     // socket events
+    // the server sends this room's history (init / snapshot) after `join`;
+    // with `since` it skips that and the `sync` below fetches the gap
+    const sync = createHistorySync(socket, {
+      apply: applyIncoming,
+      onReset: resetHistory,
+      onLoading: (progress) => {
+        setLoading(progress);
+        requestRender();
+      },
+    });
+    syncRef.current = sync;
+    const joinRoom = () => {
+      const since = sync.lastSeq;
+      socket.emit("join", since > 0 ? { room, since } : { room });
+    };
+    socket.auth = { ...(socket.auth || {}), room, since: 0 };
     socket.on("connect", () => {
       setConnected(true);
       setConnMsg("connected");
+      joinRoom();
+      // reconnect: ask only for what we missed instead of a full re-init
+      if (sync.lastSeq > 0) sync.requestSync(sync.lastSeq);
+      resendPending();
     });
     socket.on("disconnect", () => {
       setConnected(false);
       setConnMsg("disconnected");
+      // handshake hint so the server can skip its automatic full init
+      socket.auth = { ...(socket.auth || {}), since: sync.lastSeq };
+      presenceRef.current.clear();
+      syncPeers();
     });
     socket.on("connect_error", (err) => {
       setConnected(false);
       setConnMsg("connect error");
       console.error("socket connect_error", err);
+      // expired / revoked session: drop it and come back as a demo user
+      if (
+        /session|unauthori[sz]ed/i.test(err?.message || "") &&
+        socket.auth?.token
+      ) {
+        saveSession(null);
+        showToast("Session expired — connect your wallet again.");
+        reauthSocket(null);
+      }
     });
+    socket.on("access", applyAccess);
 
-    socket.on("init", (history) => {
-      if (Array.isArray(history) && history.length && bufferCtxRef.current) {
-        for (const s of history) drawStrokeToBuffer(s);
-        strokesRef.current = history.slice();
-      } else {
-        strokesRef.current = [];
-      }
-      needsRender.current = true;
+    // raster snapshot + seq, followed by a `sync` for the strokes after it
+    socket.on("snapshot", (meta) => {
+      loadSnapshot(meta);
+    });
+
+    socket.on("undo", (m) => {
+      if (m?.id && m.author) setGestureUndone(m.id, true, m.author);
+    });
+    socket.on("redo", (m) => {
+      if (m?.id && m.author) setGestureUndone(m.id, false, m.author);
     });
 
-    socket.on("draw", (s) => {
-      if (s) {
-        drawStrokeToBuffer(s);
-        strokesRef.current.push(s);
+    // moderation: full state on connect, then single actions
+    socket.on("moderation", applyModeration);
+    socket.on("mod:hide", (m) => {
+      if (m?.author) setAuthorHidden(m.author, m.hidden !== false);
+    });
+    socket.on("mod:rollback", addRollback);
+
+    // region claims: live list on join, then single claims / releases
+    socket.on("claims", (m) => applyClaims(m?.claims));
+    socket.on("claim", addClaim);
+    socket.on("claim:release", (m) => m?.id && endClaim(m.id, m.endSeq));
+
+    // presence: full list { users: [{ id, name, x?, y? }] }, then deltas
+    socket.on("presence", (m) => {
+      presenceRef.current.clear();
+      for (const u of m?.users || []) updatePeer(u);
+      syncPeers();
+      requestRender();
+    });
+    socket.on("cursor", updatePeer);
+    socket.on("presence:leave", (m) => {
+      if (presenceRef.current.delete(m?.id)) {
+        syncPeers();
+        requestRender();
       }
-      incomingQueue.current.push(null);
     });
 
-    // animation loop
-    let rafId = 0;
-    const loop = () => {
-      rafId = requestAnimationFrame(loop);
-      paintFrame();
-    };
-    loop();
+    // switching rooms on a live connection: no `connect` event will come
+    setConnected(socket.connected);
+    if (socket.connected) joinRoom();
+
+    requestRender();
 
     return () => {
-      cancelAnimationFrame(rafId);
+      flushOutbox(); // still sent to the room being left
+      socket.emit("leave", { room });
+      // a reconnect from the lobby must not rejoin the room in the handshake
+      socket.auth = { ...socket.auth, room: undefined, since: undefined };
+      cancelAnimationFrame(rafRef.current);
+      rafRef.current = 0;
+      sphere.renderer?.dispose();
+      sphere.renderer = null;
+      sync.detach();
       window.removeEventListener("resize", resize);
+      window.removeEventListener("hashchange", applyViewHash);
+      window.removeEventListener("keydown", onNavKey);
+      window.removeEventListener("keydown", onDraftKey, true);
+      canvas.removeEventListener("dblclick", finishPolygon);
+      canvas.removeEventListener("keydown", onCanvasKey);
+      draftRef.current = null;
+      stopCamera();
+      window.removeEventListener("keydown", onKeyDown);
       canvas.removeEventListener("wheel", onWheel);
       canvas.removeEventListener("pointerdown", onPointerDown);
       canvas.removeEventListener("pointermove", onPointerMove);
       canvas.removeEventListener("pointerup", onPointerUp);
       canvas.removeEventListener("pointerleave", onPointerUp);
       canvas.removeEventListener("pointercancel", onPointerUp);
+      canvas.removeEventListener("contextmenu", noMenu);
       socket.off("connect");
       socket.off("disconnect");
       socket.off("connect_error");
-      socket.off("init");
-      socket.off("draw");
+      socket.off("access");
+      socket.off("snapshot");
+      socket.off("undo");
+      socket.off("redo");
+      socket.off("moderation");
+      socket.off("mod:hide");
+      socket.off("mod:rollback");
+      socket.off("claims");
+      socket.off("claim");
+      socket.off("claim:release");
+      socket.off("presence");
+      socket.off("cursor");
+      socket.off("presence:leave");
     };
-    // IMPORTANT: empty deps -> init once (prevents wipes on size/color change)
+    // IMPORTANT: only the room re-inits (no wipes on size/color change, and
+    // a reconnect only syncs the missed range)
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [connected]); // keep 'connected' only if you want HUD to reflect conn state; can also be []
+  }, [room]);
+
+  /** Finished selection drag -> moderation shape (null if too small) */
+  function selectionShape(sel) {
+    const p = sel.pts.map(Math.round);
+    if (sel.kind !== "lasso") {
+      const x = Math.min(p[0], p[2]),
+        y = Math.min(p[1], p[3]);
+      const w = Math.abs(p[2] - p[0]),
+        h = Math.abs(p[3] - p[1]);
+      return w > 2 && h > 2 ? { rect: { x, y, w, h } } : null;
+    }
+    return p.length >= 6 ? { lasso: p } : null;
+  }
 
   /** Render a frame **/
   function paintFrame() {
     const ctx = ctxRef.current;
-    const bcv = bufferCanvasRef.current;
-    if (!ctx || !bcv) return;
+    const tiles = tilesRef.current;
+    if (!ctx || !tiles) return;
 
     const canvas = ctx.canvas;
     ctx.clearRect(0, 0, canvas.width, canvas.height);
     ctx.fillStyle = "#0b0b10";
     ctx.fillRect(0, 0, canvas.width, canvas.height);
 
+    const s = scaleRef.current;
+    if (sphereModeRef.current) paintSphere(ctx);
+    else paintFlat(ctx, s);
+    paintMinimap();
+
+    // HUD
+    if (hudRef.current) {
+      const r = replayRef.current;
+      hudRef.current.textContent =
+        `scale ${s.toFixed(2)} | (${offsetRef.current.x.toFixed(0)}, ` +
+        `${offsetRef.current.y.toFixed(0)}) | ` +
+        (r
+          ? `replay ${r.tl.drawn}/${r.tl.total}`
+          : `${strokesRef.current.length} strokes`);
+    }
+  }
+
+  function paintFlat(ctx, s) {
+    const canvas = ctx.canvas;
+    const tiles = viewTiles();
+    const view = {
+      x: -canvas.clientWidth / 2 / s - offsetRef.current.x,
+      y: -canvas.clientHeight / 2 / s - offsetRef.current.y,
+      w: canvas.clientWidth / s,
+      h: canvas.clientHeight / s,
+    };
+
     ctx.save();
     ctx.translate(canvas.clientWidth / 2, canvas.clientHeight / 2);
-    ctx.scale(scaleRef.current, scaleRef.current);
+    ctx.scale(s, s);
     ctx.translate(offsetRef.current.x, offsetRef.current.y);
 
-    // grid
-    ctx.save();
-    ctx.lineWidth = 1 / scaleRef.current;
-    ctx.strokeStyle = "rgba(255,255,255,0.06)";
+    // grid (only lines inside the viewport, one path)
     const step = 200;
-    for (let x = -WORLD_SIZE; x <= WORLD_SIZE; x += step) {
-      ctx.beginPath();
-      ctx.moveTo(x, -WORLD_SIZE);
-      ctx.lineTo(x, WORLD_SIZE);
-      ctx.stroke();
+    const gx0 = Math.max(-WORLD_SIZE, Math.ceil(view.x / step) * step);
+    const gy0 = Math.max(-WORLD_SIZE, Math.ceil(view.y / step) * step);
+    const gx1 = Math.min(WORLD_SIZE, view.x + view.w);
+    const gy1 = Math.min(WORLD_SIZE, view.y + view.h);
+    const top = Math.max(-WORLD_SIZE, view.y);
+    const left = Math.max(-WORLD_SIZE, view.x);
+    ctx.beginPath();
+    for (let x = gx0; x <= gx1; x += step) {
+      ctx.moveTo(x, top);
+      ctx.lineTo(x, gy1);
     }
-    for (let y = -WORLD_SIZE; y <= WORLD_SIZE; y += step) {
-      ctx.beginPath();
-      ctx.moveTo(-WORLD_SIZE, y);
-      ctx.lineTo(WORLD_SIZE, y);
-      ctx.stroke();
+    for (let y = gy0; y <= gy1; y += step) {
+      ctx.moveTo(left, y);
+      ctx.lineTo(gx1, y);
     }
-    ctx.restore();
+    ctx.lineWidth = 1 / s;
+    ctx.strokeStyle = "rgba(255,255,255,0.06)";
+    ctx.stroke();
 
-    // blit buffer inside ball
+    // ball + visible tiles
     ctx.save();
     ctx.beginPath();
     ctx.arc(0, 0, BALL_RADIUS, 0, Math.PI * 2);
+    ctx.fillStyle = "#ffffff";
+    ctx.fill();
     ctx.clip();
-    ctx.drawImage(bcv, -BUF_SIZE / 2, -BUF_SIZE / 2);
+    tiles.draw(ctx, view, s * dprRef.current);
     ctx.restore();
 
     // border
@@ -479,105 +2802,706 @@ export default function App() {
     ctx.strokeStyle = "#888";
     ctx.stroke();
 
+    // unconfirmed ink (offline or ack overdue): dashed outline on top
+    ctx.save();
+    ctx.beginPath();
+    for (const { stroke: p, late } of pendingRef.current.values()) {
+      if (!late) continue;
+      if (p.tool === "fill") {
+        ctx.moveTo(p.x + 6 / s, p.y);
+        ctx.arc(p.x, p.y, 6 / s, 0, Math.PI * 2);
+      } else if (p.x0 == null) {
+        const b = strokesBounds([p]); // text, polygon
+        ctx.rect(b.x, b.y, b.w, b.h);
+      } else {
+        ctx.moveTo(p.x0, p.y0);
+        ctx.lineTo(p.x1, p.y1);
+      }
+    }
+    ctx.setLineDash([6 / s, 4 / s]);
+    ctx.lineWidth = 1.5 / s;
+    ctx.strokeStyle = "rgba(255,140,0,0.9)";
+    ctx.stroke();
     ctx.restore();
 
-    // HUD ~10Hz
-    if (!paintFrame._lastHud || performance.now() - paintFrame._lastHud > 100) {
-      setHud({
-        scale: scaleRef.current,
-        offsetX: offsetRef.current.x,
-        offsetY: offsetRef.current.y,
-        strokes: strokesRef.current.length,
-      });
-      paintFrame._lastHud = performance.now();
+    // shape / text drafts: what the release (or Enter) will commit
+    const draft = draftRef.current
+      ? draftStroke(draftRef.current)
+      : textDraftRef.current?.value && {
+          tool: "text",
+          ...textDraftRef.current,
+          text: textDraftRef.current.value,
+          font: fontRef.current,
+          size: sizeRef.current,
+          color: colorRef.current,
+        };
+    if (draft) {
+      ctx.save();
+      ctx.globalAlpha = 0.7;
+      renderStroke(ctx, draft);
+      ctx.restore();
+    }
+
+    // keyboard cursor: black + white ring (visible on any ink), dot = pen down
+    const kb = kbModeRef.current && kbCursorRef.current;
+    if (kb) {
+      const r = Math.max(sizeRef.current / 2, 6 / s);
+      ctx.save();
+      ctx.beginPath();
+      ctx.arc(kb.x, kb.y, r, 0, Math.PI * 2);
+      ctx.lineWidth = 4 / s;
+      ctx.strokeStyle = "#000";
+      ctx.stroke();
+      ctx.lineWidth = 2 / s;
+      ctx.strokeStyle = "#fff";
+      ctx.stroke();
+      if (drawingRef.current) {
+        ctx.beginPath();
+        ctx.arc(kb.x, kb.y, 3 / s, 0, Math.PI * 2);
+        ctx.fillStyle = colorRef.current;
+        ctx.fill();
+      }
+      ctx.restore();
+    }
+
+    // live claims: owner-coloured outline, lock + short address on top
+    const wall = Date.now();
+    ctx.save();
+    ctx.font = `${12 / s}px ui-sans-serif, system-ui, sans-serif`;
+    ctx.lineWidth = 2 / s;
+    for (const c of claimsRef.current) {
+      if (!isLive(c, wall)) continue;
+      const r = c.rect;
+      const mine = c.owner === authorRef.current;
+      ctx.strokeStyle = ctx.fillStyle = mine ? "#1db954" : colorFor(c.owner);
+      ctx.strokeRect(r.x, r.y, r.w, r.h);
+      ctx.fillText(`🔒 ${shortAddr(c.owner)}`, r.x + 4 / s, r.y - 4 / s);
+    }
+    ctx.restore();
+
+    // region being marked (moderation or claim), or a rollback waiting
+    const claimSel = selectionRef.current?.kind === "claim";
+    const sel = selectionRef.current
+      ? selectionShape(selectionRef.current)
+      : modShapeRef.current;
+    if (sel) {
+      ctx.save();
+      ctx.beginPath();
+      traceShape(ctx, sel);
+      ctx.fillStyle = claimSel
+        ? "rgba(29,185,84,0.12)"
+        : "rgba(255,77,79,0.12)";
+      ctx.fill();
+      ctx.setLineDash([8 / s, 6 / s]);
+      ctx.lineWidth = 2 / s;
+      ctx.strokeStyle = claimSel ? "#1db954" : "#ff4d4f";
+      ctx.stroke();
+      ctx.restore();
     }
 
-    if (incomingQueue.current.length) incomingQueue.current.length = 0;
+    ctx.restore();
+
+    // other artists' cursors (screen space so labels keep their size)
+    const now = performance.now();
+    ctx.save();
+    ctx.font = "11px ui-sans-serif, system-ui, sans-serif";
+    const cam = currentView();
+    for (const [id, u] of presenceRef.current) {
+      if (u.x == null || now - u.t > CURSOR_STALE) continue;
+      const { x: sx, y: sy } = worldToScreen(cam, u.x, u.y);
+      ctx.fillStyle = colorFor(id);
+      ctx.beginPath();
+      ctx.arc(sx, sy, 4, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.fillText(u.name, sx + 7, sy - 6);
+    }
+    ctx.restore();
   }
 
   return (
-    <div className="app">
-      <div className="toolbar">
-        <span className="brand">🟢 Pump Ball</span>
-
-        {/* Contract badge */}
-        <div className="contract">
-          <a
-            className="badge"
-            href={PUMPFUN_URL}
-            target="_blank"
-            rel="noopener noreferrer"
-          >
-            {CONTRACT_ADDRESS}
-          </a>
-          <button
-            className="copy"
-            onClick={() => {
-              navigator.clipboard.writeText(CONTRACT_ADDRESS);
-              showToast("Contract copied ✅");
-            }}
-          >
-            Copy
-          </button>
-        </div>
+    <div
+      className={["app", a11y.contrast && "hc", a11y.reduceMotion && "calm"]
+        .filter(Boolean)
+        .join(" ")}
+    >
+      <div className="toolbar" role="region" aria-label="Toolbar">
+        <span className="brand">🟢 {config.name}</span>
+        <button
+          className="history"
+          onClick={() => goToRoom(null)}
+          title="All rooms"
+          aria-label={`Room ${room ?? "lobby"}: show all rooms`}
+        >
+          # {room ?? "lobby"}
+        </button>
+
+        {/* Contract badges, one per accepted mint */}
+        {config.mints.map((m) => (
+          <div className="contract" key={m.address}>
+            <a
+              className="badge"
+              href={m.url}
+              target="_blank"
+              rel="noopener noreferrer"
+              title={`Hold ${mintAmountText(m)} for full access`}
+            >
+              {m.symbol ? `${m.symbol} ` : ""}
+              {m.address}
+            </a>
+            <button
+              className="copy"
+              aria-label={`Copy ${m.symbol || "contract"} address`}
+              onClick={() => {
+                navigator.clipboard.writeText(m.address);
+                showToast("Contract copied ✅");
+              }}
+            >
+              Copy
+            </button>
+          </div>
+        ))}
 
         {/* Wallet section */}
         {walletAddr ? (
           <>
             <span className="wallet" title={rpcNote || "Wallet connected"}>
-              {walletAddr.slice(0, 4)}…{walletAddr.slice(-4)}{" "}
+              {shortAddr(walletAddr)}{" "}
               {checkingHoldings
                 ? "(checking…)"
                 : hasFullAccess
-                ? "• Full"
-                : `• Demo ${demoUsed}/${DEMO_LIMIT}`}
+                ? `• ${tier.name}`
+                : `• Demo ${demoUsed}/${demoLimit}`}
             </span>
             <button className="disconnect" onClick={disconnectWallet}>
               Disconnect
             </button>
           </>
         ) : (
-          <button className="connect" onClick={connectWallet}>
-            Connect Wallet
-          </button>
+          <>
+            <button className="connect" onClick={chooseWallet}>
+              Connect Wallet
+            </button>
+            {walletChoices && (
+              <span className="picker" role="group" aria-label="Wallets">
+                {walletChoices.map((w) => (
+                  <button key={w.id} onClick={() => connectWallet(w)}>
+                    {w.name}
+                  </button>
+                ))}
+                <button
+                  aria-label="Cancel"
+                  onClick={() => setWalletChoices(null)}
+                >
+                  ×
+                </button>
+              </span>
+            )}
+          </>
         )}
 
         {/* Tools */}
         <label>
-          Color
-          <input
-            type="color"
-            value={color}
-            onChange={(e) => setColor(e.target.value)}
-          />
+          Tool
+          <select value={tool} onChange={(e) => setTool(e.target.value)}>
+            {TOOLS.map((t) => (
+              <option key={t.id} value={t.id}>
+                {t.label}
+              </option>
+            ))}
+          </select>
         </label>
+        {["rect", "ellipse", "polygon"].includes(tool) && (
+          <label>
+            <input
+              type="checkbox"
+              checked={filled}
+              onChange={(e) => setFilled(e.target.checked)}
+            />
+            Filled
+          </label>
+        )}
+        {tool === "text" && (
+          <label>
+            Font
+            <select
+              value={font}
+              onChange={(e) => setFont(Number(e.target.value))}
+            >
+              {FONTS.map((f, i) => (
+                <option key={f.label} value={i}>
+                  {f.label}
+                </option>
+              ))}
+            </select>
+          </label>
+        )}
+        {tool === "highlighter" && (
+          <label>
+            Opacity
+            <input
+              type="range"
+              min="0.1"
+              max="0.8"
+              step="0.05"
+              value={opacity}
+              onChange={(e) => setOpacity(parseFloat(e.target.value))}
+            />
+          </label>
+        )}
+        {tier.colors ? (
+          <span className="swatches" title={`${tier.name} palette`}>
+            {tier.colors.map((c) => (
+              <button
+                key={c}
+                className={c === color ? "swatch on" : "swatch"}
+                style={{ background: c }}
+                aria-label={`Colour ${c}`}
+                aria-pressed={c === color}
+                onClick={() => setColor(c)}
+              />
+            ))}
+          </span>
+        ) : (
+          <label>
+            Color
+            <input
+              type="color"
+              value={color}
+              onChange={(e) => setColor(e.target.value)}
+            />
+          </label>
+        )}
         <label>
           Size
           <input
             type="range"
             min="1"
-            max="40"
+            max={tier.maxSize}
             value={size}
             onChange={(e) => setSize(parseInt(e.target.value, 10))}
           />
           <span className="size">{size}px</span>
         </label>
+        <span
+          className="ink"
+          title={`Ink: ${tier.inkPerMinute.toLocaleString()} per minute`}
+          role="meter"
+          aria-label="Ink left (%)"
+          aria-valuemin={0}
+          aria-valuemax={100}
+          aria-valuenow={100}
+        >
+          <span ref={inkBarRef} />
+        </span>
+
+        <button
+          className={panMode ? "history on" : "history"}
+          aria-pressed={panMode}
+          onClick={() => setPanMode(!panMode)}
+          title="One finger pans instead of drawing (two fingers always pan/zoom)"
+        >
+          ✋ Pan
+        </button>
+        <button className="history" onClick={undo} title="Undo (Ctrl+Z)">
+          Undo
+        </button>
+        <button className="history" onClick={redo} title="Redo (Ctrl+Shift+Z)">
+          Redo
+        </button>
+        <button
+          className={kbMode ? "history on" : "history"}
+          aria-pressed={kbMode}
+          disabled={sphereMode}
+          onClick={toggleKeyboardDrawing}
+          title="Draw with the arrow keys and Space"
+        >
+          ⌨ Keys
+        </button>
+        <button
+          className={a11y.contrast ? "history on" : "history"}
+          aria-pressed={a11y.contrast}
+          onClick={() => setA11yPref("contrast", !a11y.contrast)}
+          title="High-contrast colours"
+        >
+          ◐ Contrast
+        </button>
+        <button
+          className={a11y.reduceMotion ? "history on" : "history"}
+          aria-pressed={a11y.reduceMotion}
+          onClick={() => setA11yPref("reduceMotion", !a11y.reduceMotion)}
+          title="Jump instead of animating the view"
+        >
+          Reduce motion
+        </button>
+
+        <button
+          className="history"
+          onClick={() => setSphereMode((m) => !m)}
+          title={
+            sphereMode ? "Back to the flat ball" : "Wrap the ball onto a sphere"
+          }
+        >
+          {sphereMode ? "Flat" : "3D"}
+        </button>
+
+        <select
+          className="export"
+          aria-label="Export"
+          value=""
+          onChange={(e) => e.target.value && exportAs(e.target.value)}
+        >
+          <option value="">Export…</option>
+          <option value="png-1024">PNG · whole ball 1024px</option>
+          <option value="png-2048">PNG · whole ball 2048px</option>
+          <option value="png-4096">PNG · whole ball 4096px</option>
+          <option value="view-1">PNG · visible region 1×</option>
+          <option value="view-2">PNG · visible region 2×</option>
+          <option value="svg">SVG · strokes</option>
+          <option value="json">JSON · stroke history</option>
+        </select>
+        <button
+          className="history"
+          onClick={shareView}
+          disabled={sphereMode}
+          title="Copy a link that opens this view"
+        >
+          Share
+        </button>
+        <button
+          className="history"
+          onClick={replay ? closeReplay : openReplay}
+          title="Replay the canvas history"
+        >
+          {replay ? "Live" : "Replay"}
+        </button>
+        {walletAddr && (
+          <button
+            className={claimsOpen ? "history on" : "history"}
+            aria-expanded={claimsOpen}
+            onClick={() => {
+              if (!claimsOpen) refreshMyClaims();
+              setClaimsOpen(!claimsOpen);
+            }}
+            title="Lock a region of the ball against other wallets"
+          >
+            🔒 Claims
+          </button>
+        )}
+        {isModerator && (
+          <button
+            className="history"
+            aria-expanded={modOpen}
+            onClick={() => {
+              if (!modOpen) refreshModAuthors();
+              setModOpen(!modOpen);
+            }}
+          >
+            Moderate
+          </button>
+        )}
 
-        <span className="hint">Left/Middle/Right or Shift = pan • Wheel = zoom</span>
-        <span className="hud">
-          scale {hud.scale.toFixed(2)} | ({hud.offsetX.toFixed(0)},{" "}
-          {hud.offsetY.toFixed(0)}) | {hud.strokes} strokes
+        <span className="hint">
+          {sphereMode
+            ? "Drag beside the ball or Shift-drag = rotate • Wheel = zoom"
+            : kbMode
+            ? "Arrows = move • Space = draw / place • Esc = pen up"
+            : "Left/Middle/Right or Shift = pan • Wheel or pinch = zoom"}
         </span>
+        <span className="hud" ref={hudRef} />
+        {unsent > 0 && (
+          <span className="unsent" title="Strokes waiting for the server">
+            {unsent} unsent
+          </span>
+        )}
         <span className={`conn ${connected ? "ok" : "err"}`}>ws: {connMsg}</span>
+        {connected && (
+          <label className="online" title="Artists online">
+            👥 {peers.length + 1}
+            {peers.length > 0 && (
+              <select
+                value=""
+                aria-label="Jump to an artist"
+                onChange={(e) => e.target.value && jumpToPeer(e.target.value)}
+              >
+                <option value="">Jump to…</option>
+                {peers.map((p) => (
+                  <option key={p.id} value={p.id}>
+                    {p.name}
+                  </option>
+                ))}
+              </select>
+            )}
+          </label>
+        )}
       </div>
 
       <canvas
         ref={canvasRef}
+        className="board"
         style={{ display: "block", width: "100vw", height: "100vh" }}
+        tabIndex={0}
+        role="application"
+        aria-label={`${config.name} drawing canvas`}
+        aria-describedby="board-help"
       />
+      <p id="board-help" className="sr-only">
+        Turn on keyboard drawing with the Keys button, then use the arrow keys
+        to move the cursor (Shift moves further), Space to draw or place the
+        current tool and Escape to lift the pen. Without it, the arrow keys pan
+        the view, plus and minus zoom and 0 fits the ball.
+      </p>
+
+      <div className="navbox">
+        <div className="zoom">
+          <button
+            onClick={() => zoomBy(1.5)}
+            title="Zoom in (+)"
+            aria-label="Zoom in"
+          >
+            +
+          </button>
+          <button
+            onClick={() => zoomBy(1 / 1.5)}
+            title="Zoom out (−)"
+            aria-label="Zoom out"
+          >
+            −
+          </button>
+          <button
+            onClick={() => resetViewToBall(canvasRef.current, true)}
+            title="Fit the ball (0)"
+          >
+            Fit
+          </button>
+        </div>
+        {!sphereMode && (
+          <canvas
+            ref={miniRef}
+            className="minimap"
+            role="img"
+            aria-label="Minimap of the whole ball"
+            style={{ width: MINIMAP_SIZE, height: MINIMAP_SIZE }}
+            onPointerDown={onMiniDown}
+            onPointerMove={onMiniMove}
+            onPointerUp={() => (miniDragRef.current = false)}
+            onPointerCancel={() => (miniDragRef.current = false)}
+          />
+        )}
+      </div>
+
+      {loading && (
+        <div className="loading">
+          {loading.label === "snapshot"
+            ? "Loading snapshot…"
+            : `Loading ball… ${loading.done.toLocaleString()}` +
+              (loading.total ? ` / ${loading.total.toLocaleString()}` : "") +
+              " strokes"}
+          <div className="bar">
+            <div
+              style={{
+                width: loading.total
+                  ? `${Math.min(100, (loading.done / loading.total) * 100)}%`
+                  : "100%",
+              }}
+            />
+          </div>
+        </div>
+      )}
 
-      {/* Toast UI */}
-      <div className={`toast ${toast.show ? "show" : ""}`}>{toast.msg}</div>
+      {replay && (
+        <div className="replay">
+          <button onClick={replay.playing ? pauseReplay : playReplay}>
+            {replay.playing ? "Pause" : "Play"}
+          </button>
+          <input
+            type="range"
+            min="0"
+            max={Math.max(1, Math.round(replay.duration))}
+            value={Math.round(replay.position)}
+            aria-label="Replay position"
+            onChange={(e) => seekReplay(Number(e.target.value))}
+          />
+          <span className="count">
+            {replay.drawn.toLocaleString()} / {replay.total.toLocaleString()}
+          </span>
+          {replay.fromSnapshot && (
+            <span
+              className="base"
+              title="Ink before the last snapshot is part of its image and is not replayed"
+            >
+              from snapshot
+            </span>
+          )}
+          <select
+            value={replay.speed}
+            aria-label="Replay speed"
+            onChange={(e) => setReplaySpeed(Number(e.target.value))}
+          >
+            {[1, 4, 16, 64, 256].map((v) => (
+              <option key={v} value={v}>
+                {v}×
+              </option>
+            ))}
+          </select>
+          <button
+            onClick={replay.recording ? finishRecording : recordReplay}
+            className={replay.recording ? "rec on" : "rec"}
+          >
+            {replay.recording ? "Stop ●" : "Record WebM"}
+          </button>
+          <button onClick={closeReplay}>Close</button>
+        </div>
+      )}
+
+      {isModerator && modOpen && (
+        <div className="modpanel">
+          <div className="head">
+            Moderation
+            <button aria-label="Close" onClick={() => setModOpen(false)}>
+              ×
+            </button>
+          </div>
+          <div className="section">Roll back a region</div>
+          <div className="row">
+            <button
+              className={modSelect === "rect" ? "on" : ""}
+              disabled={sphereMode}
+              onClick={() => setModSelect(modSelect === "rect" ? null : "rect")}
+            >
+              Rectangle
+            </button>
+            <button
+              className={modSelect === "lasso" ? "on" : ""}
+              disabled={sphereMode}
+              onClick={() =>
+                setModSelect(modSelect === "lasso" ? null : "lasso")
+              }
+            >
+              Lasso
+            </button>
+            <select
+              value={modWindow}
+              aria-label="Roll back window"
+              onChange={(e) => setModWindow(Number(e.target.value))}
+            >
+              {[5, 15, 60, 360, 1440].map((v) => (
+                <option key={v} value={v}>
+                  last {v < 60 ? `${v} min` : `${v / 60} h`}
+                </option>
+              ))}
+            </select>
+            <button disabled={!modShape} onClick={rollbackRegion}>
+              Roll back
+            </button>
+          </div>
+          <div className="section">
+            Authors
+            <button onClick={refreshModAuthors}>↻</button>
+          </div>
+          <ul>
+            {modAuthors.map((a) => (
+              <li key={a.author} title={a.author}>
+                <span className={a.hidden ? "gone" : ""}>
+                  {authorLabel(a.author)}
+                </span>
+                <span className="n">{a.count}</span>
+                <button onClick={() => hideAuthor(a.author, !a.hidden)}>
+                  {a.hidden ? "Unhide" : "Hide"}
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {walletAddr && claimsOpen && (
+        <div className="modpanel claimpanel">
+          <div className="head">
+            Region claims
+            <button aria-label="Close" onClick={() => setClaimsOpen(false)}>
+              ×
+            </button>
+          </div>
+          <div className="note">
+            {canClaim
+              ? `Up to ${tier.claims} at once, each up to ${Math.round(
+                  claimArea
+                ).toLocaleString()} units² for ${config.claim.minutes} min.`
+              : `Claims need the ${
+                  config.tiers.find((t) => t.claims > 0)?.name || "holder"
+                } tier.`}
+          </div>
+          <div className="row">
+            <button
+              className={claiming ? "on" : ""}
+              disabled={
+                !canClaim || sphereMode || myClaims.length >= tier.claims
+              }
+              onClick={() => setClaiming(!claiming)}
+            >
+              {claiming ? "Drag a rectangle…" : "Claim a region"}
+            </button>
+          </div>
+          <div className="section">My claims</div>
+          {myClaims.length ? (
+            <ul>
+              {myClaims.map((c) => (
+                <li key={c.id}>
+                  <button onClick={() => goToClaim(c)}>
+                    {Math.round(c.rect.w)}×{Math.round(c.rect.h)}
+                  </button>
+                  <span className="n">until {clockTime(c.until)}</span>
+                  <button onClick={() => releaseClaim(c.id)}>Release</button>
+                </li>
+              ))}
+            </ul>
+          ) : (
+            <div className="note">None yet.</div>
+          )}
+        </div>
+      )}
+
+      {textDraft && (
+        <input
+          key={textDraft.id}
+          className="textdraft"
+          style={{ left: textDraft.sx, top: textDraft.sy }}
+          autoFocus
+          maxLength={MAX_TEXT}
+          value={textValue}
+          placeholder="Type, Enter to place"
+          aria-label="Text to place"
+          onChange={(e) => setTextValue(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === "Enter") commitText();
+            else if (e.key === "Escape") closeText();
+            else return;
+            if (kbMode) canvasRef.current?.focus();
+          }}
+          onBlur={() => {
+            // only while this draft is still the open one
+            if (textDraftRef.current?.id === textDraft.id) commitText();
+          }}
+        />
+      )}
+
+      {room == null && (
+        <Lobby
+          socket={socket}
+          current={lastRoomRef.current}
+          ackTimeout={ACK_TIMEOUT}
+          onPick={goToRoom}
+          onClose={() => goToRoom(lastRoomRef.current)}
+        />
+      )}
+
+      {/* Toast UI (read out through the live region below) */}
+      <div className={`toast ${toast.show ? "show" : ""}`} aria-hidden="true">
+        {toast.msg}
+      </div>
+      <div className="sr-only" role="status" aria-live="polite">
+        {liveMsg}
+      </div>
 
       <style>{`
         :root { --bg: #0b0b10; --panel: #11131a; --text: #eaeaea; }
@@ -604,15 +3528,105 @@ export default function App() {
         .copy { background: #fff; color: #6a0dad; border: none; padding: 6px 10px; border-radius: 6px; cursor: pointer; font-weight: 700; }
         .connect { background: #00ff99; color: #11131a; border: none; padding: 6px 10px; border-radius: 8px; cursor: pointer; font-weight: 800; }
         .disconnect { background: #22273a; color: #eaeaea; border: 1px solid #34405c; padding: 6px 10px; border-radius: 8px; cursor: pointer; font-weight: 700; }
+        .history { background: #22273a; color: #eaeaea; border: 1px solid #34405c; padding: 6px 10px; border-radius: 8px; cursor: pointer; font-weight: 700; }
+        .history.on { background: #1db954; border-color: #1db954; color: #0b0b10; }
+        .picker { display: inline-flex; gap: 6px; }
+        .picker button { background: #22273a; color: #eaeaea; border: 1px solid #34405c; padding: 6px 10px; border-radius: 8px; cursor: pointer; font-weight: 700; }
         .wallet { font-size: 12px; opacity: 0.9; padding: 2px 8px; border: 1px solid #22273a; border-radius: 8px; }
+        .ink { width: 60px; height: 6px; background: #22273a; border-radius: 3px; overflow: hidden; }
+        .ink > span { display: block; height: 100%; width: 100%; background: #00ff99; transition: width .2s linear; }
+        .ink.low > span { background: #ff4d4f; }
+        .swatches { display: inline-flex; gap: 3px; }
+        .swatch { width: 18px; height: 18px; padding: 0; border-radius: 50%; border: 2px solid #22273a; }
+        .swatch.on { border-color: var(--text); }
         label { display: inline-flex; align-items: center; gap: 8px; }
         input[type="range"] { width: 120px; }
+        select { background: #22273a; color: #eaeaea; border: 1px solid #34405c; padding: 4px 6px; border-radius: 8px; }
         .hint { opacity: 0.7; font-size: 12px; }
         .hud { opacity: 0.8; font-size: 12px; margin-left: auto; }
         .conn { padding: 4px 8px; border-radius: 10px; font-size: 12px; background: rgba(17,19,26,0.8); border: 1px solid #22273a; color: var(--text); }
+        .unsent { padding: 4px 8px; border-radius: 10px; font-size: 12px; color: #ffb35c; border: 1px dashed #ff8c00; }
+        .online { font-size: 12px; gap: 6px; }
         .conn.ok { outline: 1px solid #1db95440; }
         .conn.err { outline: 1px solid #ff4d4f40; }
 
+        .textdraft {
+          position: fixed; z-index: 15; transform: translateY(-120%);
+          padding: 4px 8px; border-radius: 6px; border: 1px solid #1db954;
+          background: rgba(17,19,26,0.9); color: var(--text); font-size: 13px;
+        }
+        .navbox {
+          position: fixed; left: 12px; bottom: 12px; z-index: 10;
+          display: flex; flex-direction: column; align-items: flex-start; gap: 6px;
+        }
+        .navbox .zoom { display: flex; gap: 4px; }
+        .navbox .zoom button {
+          min-width: 32px; height: 32px; border-radius: 8px; cursor: pointer; font-weight: 700;
+          background: rgba(17,19,26,0.85); color: var(--text); border: 1px solid #22273a;
+        }
+        .minimap {
+          display: block; border-radius: 50%; cursor: crosshair; touch-action: none;
+          background: rgba(17,19,26,0.85); border: 1px solid #22273a;
+        }
+
+        .loading {
+          position: fixed; left: 50%; top: 50%; transform: translate(-50%, -50%);
+          background: rgba(17,19,26,0.9); color: var(--text); padding: 12px 16px;
+          border: 1px solid #22273a; border-radius: 10px; font-size: 13px;
+          font-family: ui-sans-serif, system-ui, -apple-system, Segoe UI, Roboto; z-index: 20;
+        }
+        .loading .bar { margin-top: 8px; height: 4px; background: #22273a; border-radius: 2px; overflow: hidden; }
+        .loading .bar > div { height: 100%; background: #00ff99; transition: width .2s ease; }
+
+        .replay {
+          position: fixed; left: 50%; bottom: 64px; transform: translateX(-50%);
+          display: flex; align-items: center; gap: 10px;
+          background: rgba(17,19,26,0.9); color: var(--text); padding: 8px 12px;
+          border: 1px solid #22273a; border-radius: 12px; font-size: 13px;
+          font-family: ui-sans-serif, system-ui, -apple-system, Segoe UI, Roboto; z-index: 20;
+        }
+        .replay input[type="range"] { width: 240px; }
+        .replay .count { min-width: 90px; opacity: 0.8; font-size: 12px; }
+        .replay .base { opacity: 0.8; font-size: 12px; font-style: italic; }
+        .replay .rec.on { color: #ff4d4f; }
+
+        .modpanel {
+          position: fixed; right: 12px; top: 84px; width: 280px; max-height: 70vh; overflow: auto;
+          background: rgba(17,19,26,0.95); color: var(--text); padding: 10px 12px;
+          border: 1px solid #22273a; border-radius: 12px; font-size: 13px;
+          font-family: ui-sans-serif, system-ui, -apple-system, Segoe UI, Roboto; z-index: 20;
+        }
+        .modpanel .head, .modpanel .section { display: flex; justify-content: space-between; align-items: center; font-weight: 700; }
+        .modpanel .section { margin-top: 10px; font-size: 12px; opacity: 0.8; }
+        .modpanel .row { display: flex; flex-wrap: wrap; gap: 6px; margin-top: 6px; }
+        .modpanel button.on { outline: 1px solid #ff4d4f; }
+        .modpanel ul { list-style: none; margin: 6px 0 0; padding: 0; }
+        .modpanel li { display: flex; align-items: center; gap: 8px; padding: 3px 0; }
+        .modpanel li .n { margin-left: auto; opacity: 0.6; font-size: 12px; }
+        .modpanel .gone { text-decoration: line-through; opacity: 0.6; }
+        .modpanel .note { margin-top: 6px; font-size: 12px; opacity: 0.7; }
+        .claimpanel { top: 140px; }
+        .claimpanel button.on { outline-color: #1db954; }
+
+        .lobby {
+          position: fixed; inset: 0; z-index: 30; overflow: auto; padding: 32px;
+          background: var(--bg); color: var(--text);
+          font-family: ui-sans-serif, system-ui, -apple-system, Segoe UI, Roboto;
+        }
+        .lobby .head { display: flex; align-items: center; gap: 16px; }
+        .lobby h2 { margin: 0; }
+        .lobby form { display: flex; gap: 8px; margin: 16px 0; }
+        .lobby input { padding: 8px 10px; border-radius: 8px; border: 1px solid #22273a; background: var(--panel); color: var(--text); min-width: 240px; }
+        .lobby ul { list-style: none; padding: 0; margin: 0; display: grid; grid-template-columns: repeat(auto-fill, minmax(160px, 1fr)); gap: 12px; }
+        .lobby .room {
+          width: 100%; display: flex; flex-direction: column; align-items: center; gap: 6px; padding: 12px;
+          background: var(--panel); color: var(--text); border: 1px solid #22273a; border-radius: 12px; cursor: pointer;
+        }
+        .lobby .room.here { border-color: #1db954; }
+        .lobby .room img, .lobby .room .blank { width: 120px; height: 120px; border-radius: 50%; background: #fff; object-fit: cover; }
+        .lobby .room .online { font-size: 12px; opacity: 0.8; min-height: 1em; }
+        .lobby .error { color: #ff4d4f; font-size: 13px; margin-bottom: 8px; }
+
         /* Toast styles */
         .toast {
           position: fixed; left: 50%; bottom: 20px; transform: translateX(-50%) translateY(20px);
@@ -623,6 +3637,41 @@ export default function App() {
         }
         .toast.show { opacity: 1; transform: translateX(-50%) translateY(0); }
 
+        .sr-only {
+          position: absolute; width: 1px; height: 1px; padding: 0; margin: -1px;
+          overflow: hidden; clip: rect(0 0 0 0); white-space: nowrap; border: 0;
+        }
+        :focus-visible { outline: 2px solid #ffd400; outline-offset: 2px; }
+        .board:focus-visible { outline-offset: -4px; }
+
+        /* High contrast: black and white with yellow accents */
+        .app.hc { --bg: #000; --panel: #000; --text: #fff; }
+        .hc .toolbar, .hc .navbox .zoom button, .hc .minimap, .hc .loading, .hc .replay,
+        .hc .modpanel, .hc .toast, .hc .conn, .hc .textdraft, .hc .wallet {
+          background: #000; color: #fff; border-color: #fff; backdrop-filter: none;
+        }
+        .hc .history, .hc .disconnect, .hc .picker button, .hc select, .hc .modpanel button, .hc .replay button {
+          background: #000; color: #fff; border: 1px solid #fff;
+        }
+        .hc .history.on { background: #ffd400; border-color: #ffd400; color: #000; }
+        .hc .history:disabled { border-style: dashed; }
+        .hc .hint, .hc .hud, .hc .modpanel .note, .hc .modpanel .section, .hc .modpanel li .n,
+        .hc .lobby .room .online { opacity: 1; }
+        .hc .unsent { color: #ffd400; border-color: #ffd400; }
+        .hc .ink { background: #000; outline: 1px solid #fff; }
+        .hc .ink > span { background: #fff; }
+        .hc .ink.low > span { background: #ffd400; }
+        .hc .swatch { border-color: #fff; }
+        .hc .swatch.on { outline: 2px solid #ffd400; }
+        .hc .lobby .room { border-color: #fff; }
+        .hc .lobby .room.here { border-color: #ffd400; }
+        .hc .lobby .error { color: #ffd400; }
+
+        /* Reduced motion: nothing slides or fades (the camera jumps too) */
+        .app.calm *, .app.calm *::before, .app.calm *::after {
+          transition: none !important; animation: none !important;
+        }
+
         @media (max-width: 640px) { .badge { max-width: 58vw; } }
       `}</style>
     </div>
@@ -0,0 +1,130 @@
+import React, { useEffect, useState } from "react";
+
+/** Rooms: "/" is the main ball, "/lobby" lists rooms, "/<name>" joins one */
+export const DEFAULT_ROOM = "main";
+const REFRESH_MS = 10000;
+
+/** Room named by a URL path (null = the lobby, also for a malformed path) */
+export function roomFromPath(path) {
+  let seg;
+  try {
+    seg = decodeURIComponent(path.split("/").filter(Boolean)[0] || "");
+  } catch (_) {
+    return null;
+  }
+  if (seg === "lobby") return null;
+  return cleanRoomName(seg) || DEFAULT_ROOM;
+}
+
+export function roomPath(room) {
+  if (room == null) return "/lobby";
+  return room === DEFAULT_ROOM ? "/" : "/" + encodeURIComponent(room);
+}
+
+/** URL-safe room name; "" when nothing usable is left */
+export function cleanRoomName(name) {
+  const room = String(name || "")
+    .toLowerCase()
+    .trim()
+    .replace(/[^a-z0-9_-]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 48);
+  // "/lobby" is the room list, so no room can be opened by that name
+  return room === "lobby" ? "" : room;
+}
+
+/**
+ * Room picker. Asks the server for `rooms` (ack: { rooms: [{ id, name?,
+ * online, thumb? }] }, thumb being an image URL) and refreshes while open.
+ */
+export default function Lobby({
+  socket,
+  current,
+  ackTimeout,
+  onPick,
+  onClose,
+}) {
+  const [rooms, setRooms] = useState(null);
+  const [error, setError] = useState("");
+  const [name, setName] = useState("");
+
+  useEffect(() => {
+    let live = true;
+    const load = () =>
+      socket.timeout(ackTimeout).emit("rooms", {}, (err, res) => {
+        if (!live) return;
+        if (err || !Array.isArray(res?.rooms)) {
+          setError("Couldn't load the room list.");
+          setRooms((r) => r || []);
+        } else {
+          setError("");
+          setRooms(res.rooms);
+        }
+      });
+    load();
+    const id = setInterval(load, REFRESH_MS);
+    return () => {
+      live = false;
+      clearInterval(id);
+    };
+  }, [socket, ackTimeout]);
+
+  // the main ball is always listed, even if the server didn't answer
+  const list = rooms || [];
+  const shown = list.some((r) => r.id === DEFAULT_ROOM)
+    ? list
+    : [{ id: DEFAULT_ROOM, online: null }, ...list];
+
+  const join = (e) => {
+    e.preventDefault();
+    const room = cleanRoomName(name);
+    if (room) onPick(room);
+  };
+
+  return (
+    <div className="lobby">
+      <div className="head">
+        <h2>Rooms</h2>
+        {current != null && (
+          <button onClick={onClose}>Back to {current}</button>
+        )}
+      </div>
+      <form onSubmit={join}>
+        <input
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="Room name, e.g. team-blue"
+          aria-label="Room name"
+        />
+        <button type="submit" disabled={!cleanRoomName(name)}>
+          Join / create
+        </button>
+      </form>
+      {error && <div className="error">{error}</div>}
+      {rooms == null ? (
+        <div className="empty">Loading rooms…</div>
+      ) : (
+        <ul>
+          {shown.map((r) => (
+            <li key={r.id}>
+              <button
+                className={r.id === current ? "room here" : "room"}
+                onClick={() => onPick(r.id)}
+              >
+                {r.thumb ? (
+                  <img src={r.thumb} alt="" loading="lazy" />
+                ) : (
+                  <span className="blank" />
+                )}
+                <span className="name">{r.name || r.id}</span>
+                <span className="online">
+                  {r.online == null ? "" : `👥 ${r.online}`}
+                </span>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
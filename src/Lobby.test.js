@@ -0,0 +1,21 @@
+import { roomFromPath, roomPath, cleanRoomName, DEFAULT_ROOM } from "./Lobby";
+
+describe("room paths", () => {
+  test("map to rooms and back", () => {
+    expect(roomFromPath("/")).toBe(DEFAULT_ROOM);
+    expect(roomFromPath("/lobby")).toBeNull();
+    expect(roomFromPath("/My%20Room/")).toBe("my-room");
+    expect(roomPath("my-room")).toBe("/my-room");
+    expect(roomPath(DEFAULT_ROOM)).toBe("/");
+    expect(roomPath(null)).toBe("/lobby");
+  });
+
+  test("a malformed path opens the lobby", () => {
+    expect(roomFromPath("/%E0%A4%A")).toBeNull();
+  });
+
+  test("no room can take the lobby's name", () => {
+    expect(cleanRoomName(" Lobby ")).toBe("");
+    expect(cleanRoomName("lobby-2")).toBe("lobby-2");
+  });
+});
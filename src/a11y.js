@@ -0,0 +1,74 @@
+/** --- Accessibility ---
+ * High contrast and reduced motion start from the OS settings
+ * (prefers-contrast / prefers-reduced-motion) and can be switched from the
+ * toolbar; an explicit choice is kept in localStorage.
+ *
+ * Keyboard drawing moves a cursor over the ball with the arrow keys, KEY_STEP
+ * css px per press (Shift: BIG_STEP), so the step feels the same at any zoom.
+ */
+
+const PREFS_KEY = "pumpball.a11y";
+export const KEY_STEP = 8;
+export const BIG_STEP = 40;
+
+const ARROWS = {
+  ArrowLeft: [-1, 0],
+  ArrowRight: [1, 0],
+  ArrowUp: [0, -1],
+  ArrowDown: [0, 1],
+};
+
+export function mediaPrefers(query) {
+  return typeof window !== "undefined" && !!window.matchMedia?.(query).matches;
+}
+
+/** { contrast, reduceMotion }: saved choices over the OS defaults */
+export function loadA11yPrefs() {
+  let saved = {};
+  try {
+    saved = JSON.parse(localStorage.getItem(PREFS_KEY) || "{}") || {};
+  } catch (_) {
+    // unreadable prefs: fall back to the OS settings
+  }
+  return {
+    contrast: saved.contrast ?? mediaPrefers("(prefers-contrast: more)"),
+    reduceMotion:
+      saved.reduceMotion ?? mediaPrefers("(prefers-reduced-motion: reduce)"),
+  };
+}
+
+export function saveA11yPrefs(prefs) {
+  try {
+    localStorage.setItem(PREFS_KEY, JSON.stringify(prefs));
+  } catch (_) {
+    // private mode etc.: the choice lasts for this visit only
+  }
+}
+
+/** World offset for an arrow key at `scale` (null for other keys) */
+export function cursorStep(key, shift, scale) {
+  const dir = ARROWS[key];
+  if (!dir) return null;
+  const d = (shift ? BIG_STEP : KEY_STEP) / scale;
+  return { dx: dir[0] * d, dy: dir[1] * d };
+}
+
+/** Move `p` by (dx, dy), kept inside the ball */
+export function moveCursor(p, dx, dy, radius) {
+  const x = p.x + dx,
+    y = p.y + dy;
+  const r = Math.hypot(x, y);
+  if (r <= radius) return { x, y };
+  return { x: (x / r) * radius, y: (y / r) * radius };
+}
+
+/** Spoken position, e.g. "120 right, 40 up of centre" */
+export function describePoint(p) {
+  const x = Math.round(p.x),
+    y = Math.round(p.y);
+  if (!x && !y) return "at the centre";
+  const parts = [];
+  if (x) parts.push(`${Math.abs(x)} ${x > 0 ? "right" : "left"}`);
+  if (y) parts.push(`${Math.abs(y)} ${y > 0 ? "down" : "up"}`);
+  return `${parts.join(", ")} of centre`;
+}
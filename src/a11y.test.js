@@ -0,0 +1,68 @@
+import {
+  KEY_STEP,
+  BIG_STEP,
+  cursorStep,
+  moveCursor,
+  describePoint,
+  loadA11yPrefs,
+  saveA11yPrefs,
+} from "./a11y";
+
+describe("cursorStep", () => {
+  test("moves a fixed screen distance at any zoom", () => {
+    expect(cursorStep("ArrowRight", false, 1)).toEqual({ dx: KEY_STEP, dy: 0 });
+    expect(cursorStep("ArrowUp", true, 2)).toEqual({
+      dx: 0,
+      dy: -BIG_STEP / 2,
+    });
+  });
+
+  test("ignores other keys", () => {
+    expect(cursorStep("a", false, 1)).toBeNull();
+  });
+});
+
+describe("moveCursor", () => {
+  test("stays inside the ball", () => {
+    expect(moveCursor({ x: 0, y: 0 }, 3, 4, 100)).toEqual({ x: 3, y: 4 });
+    const p = moveCursor({ x: 95, y: 0 }, 10, 0, 100);
+    expect(p.x).toBeCloseTo(100);
+    expect(p.y).toBeCloseTo(0);
+  });
+});
+
+describe("describePoint", () => {
+  test("reads out offsets from the centre", () => {
+    expect(describePoint({ x: 0.2, y: -0.3 })).toBe("at the centre");
+    expect(describePoint({ x: 120, y: -40 })).toBe(
+      "120 right, 40 up of centre"
+    );
+    expect(describePoint({ x: -5, y: 0 })).toBe("5 left of centre");
+  });
+});
+
+describe("a11y prefs", () => {
+  beforeEach(() => {
+    localStorage.clear();
+    window.matchMedia = (query) => ({
+      matches: query === "(prefers-reduced-motion: reduce)",
+    });
+  });
+  afterEach(() => {
+    delete window.matchMedia;
+  });
+
+  test("start from the OS settings", () => {
+    expect(loadA11yPrefs()).toEqual({ contrast: false, reduceMotion: true });
+  });
+
+  test("prefer a saved choice", () => {
+    saveA11yPrefs({ contrast: true, reduceMotion: false });
+    expect(loadA11yPrefs()).toEqual({ contrast: true, reduceMotion: false });
+  });
+
+  test("survive unreadable storage", () => {
+    localStorage.setItem("pumpball.a11y", "{oops");
+    expect(loadA11yPrefs().reduceMotion).toBe(true);
+  });
+});
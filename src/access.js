@@ -0,0 +1,57 @@
+/** --- Wallet gating ---
+ * Drawing rights come from the server's `access` verdict. The client reads
+ * the wallet's balances over JSON-RPC only to show the tier it expects, and
+ * counts demo strokes itself between verdicts.
+ */
+
+import {
+  rpcCall,
+  tierFor,
+  holdingRatio,
+  mintAmountText,
+  requirementText,
+} from "./config";
+
+/** Balance per accepted mint: [{ mint, amount }] (ui amounts, all accounts) */
+export async function fetchHoldings(config, address, rpc) {
+  const call = rpc || ((method, params) => rpcCall(config, method, params));
+  return Promise.all(
+    config.mints.map(async (m) => {
+      const accts = await call("getTokenAccountsByOwner", [
+        address,
+        { mint: m.address },
+        { encoding: "jsonParsed" },
+      ]);
+      let amount = 0;
+      for (const a of accts?.value || []) {
+        const tok = a.account?.data?.parsed?.info?.tokenAmount;
+        if (tok?.uiAmount) amount += Number(tok.uiAmount);
+      }
+      return { mint: m, amount };
+    })
+  );
+}
+
+/** What `held` is worth: { enough, tier, ratio, note } */
+export function assessHoldings(config, held) {
+  const enough = held.some((h) => h.amount >= h.mint.required);
+  const holding = held.map((h) => mintAmountText(h.mint, h.amount)).join(", ");
+  return {
+    enough,
+    tier: tierFor(config, held),
+    ratio: holdingRatio(held),
+    note: enough
+      ? `Holding ${holding}`
+      : `Need at least ${requirementText(config)}. You have ${holding}.`,
+  };
+}
+
+/** Full access, or demo strokes left */
+export function canDraw({ full, used, limit }) {
+  return full || used < limit;
+}
+
+/** Demo count after one more stroke */
+export function countDemo({ full, used, limit }) {
+  return full ? used : Math.min(limit, used + 1);
+}
@@ -0,0 +1,103 @@
+import { fetchHoldings, assessHoldings, canDraw, countDemo } from "./access";
+import { normalizeConfig, rpcCall } from "./config";
+import { stubRpc } from "./testing/rpcStub";
+
+const PUMP = "PumpMint1111111111111111111111111111111pump";
+const BALL = "Ba11Mint1111111111111111111111111111111ball";
+const config = normalizeConfig({
+  mints: [
+    { address: PUMP, symbol: "PUMP", required: 100_000 },
+    { address: BALL, symbol: "BALL", required: 5_000 },
+  ],
+  rpcUrls: ["https://rpc-a.test", "https://rpc-b.test"],
+  rpcTimeout: 500,
+  rpcRetries: 0,
+});
+
+let rpc;
+afterEach(() => rpc?.restore());
+
+describe("fetchHoldings over the stubbed RPC", () => {
+  test("sums every token account per mint", async () => {
+    rpc = stubRpc({ balances: { alice: { [PUMP]: 150_000 } } });
+    const held = await fetchHoldings(config, "alice");
+    expect(held.map((h) => [h.mint.symbol, h.amount])).toEqual([
+      ["PUMP", 150_000],
+      ["BALL", 0],
+    ]);
+    expect(rpc.calls.map((c) => c.method)).toEqual([
+      "getTokenAccountsByOwner",
+      "getTokenAccountsByOwner",
+    ]);
+  });
+
+  test("fails over to the next RPC url", async () => {
+    rpc = stubRpc({
+      balances: { bob: { [BALL]: 6_000 } },
+      down: ["https://rpc-a.test"],
+    });
+    const held = await fetchHoldings(config, "bob");
+    expect(held[1].amount).toBe(6_000);
+    expect(rpc.calls.some((c) => c.url === "https://rpc-b.test")).toBe(true);
+  });
+
+  test("rejects when every url is down", async () => {
+    rpc = stubRpc({ down: ["https://rpc-a.test", "https://rpc-b.test"] });
+    await expect(fetchHoldings(config, "carol")).rejects.toThrow(/503/);
+  });
+
+  test("node errors are not retried", async () => {
+    rpc = stubRpc();
+    await expect(rpcCall(config, "getNothing", [])).rejects.toThrow(
+      "Method not found"
+    );
+    expect(rpc.calls).toHaveLength(1);
+  });
+});
+
+describe("assessHoldings", () => {
+  const held = (pump, ball) => [
+    { mint: config.mints[0], amount: pump },
+    { mint: config.mints[1], amount: ball },
+  ];
+
+  test("below every bar stays on the demo tier", () => {
+    const a = assessHoldings(config, held(10, 10));
+    expect(a.enough).toBe(false);
+    expect(a.tier.id).toBe("demo");
+    expect(a.note).toMatch(/^Need at least 100,000 PUMP or 5,000 BALL/);
+  });
+
+  test("any one mint over its bar qualifies", () => {
+    const a = assessHoldings(config, held(0, 5_000));
+    expect(a.enough).toBe(true);
+    expect(a.tier.id).toBe("holder");
+    expect(a.ratio).toBe(1);
+  });
+
+  test("the best ratio picks the tier", () => {
+    const a = assessHoldings(config, held(2_000_000, 5_000));
+    expect(a.ratio).toBe(20);
+    expect(a.tier.id).toBe("whale");
+  });
+});
+
+describe("demo gating", () => {
+  test("demo users draw until the limit", () => {
+    expect(canDraw({ full: false, used: 9, limit: 10 })).toBe(true);
+    expect(canDraw({ full: false, used: 10, limit: 10 })).toBe(false);
+    expect(canDraw({ full: true, used: 10, limit: 10 })).toBe(true);
+  });
+
+  test("only demo strokes count, capped at the limit", () => {
+    expect(countDemo({ full: false, used: 3, limit: 10 })).toBe(4);
+    expect(countDemo({ full: false, used: 10, limit: 10 })).toBe(10);
+    expect(countDemo({ full: true, used: 3, limit: 10 })).toBe(3);
+  });
+
+  test("a configured limit of 0 turns the demo off", () => {
+    expect(normalizeConfig({ demoLimit: 0 }).demoLimit).toBe(0);
+    expect(normalizeConfig({ demoLimit: "junk" }).demoLimit).toBe(10);
+    expect(normalizeConfig({ demoLimit: -1 }).demoLimit).toBe(10);
+  });
+});
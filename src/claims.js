@@ -0,0 +1,72 @@
+/** --- Region claims ---
+ * A verified holder can lock a rectangle of the ball for a while:
+ *
+ *   claim          { id, rect, minutes }  ack: { claim?, error? }
+ *   claim:release  { id }                 ack: { error? }
+ *
+ * The server answers with the stored claim `{ id, owner, rect, at, until,
+ * seq }` (rect in world units, times in ms, `seq` the last stroke stored
+ * before it) and broadcasts it as "claim"; the live list arrives as "claims"
+ * on join. When a claim ends, released or lapsed, the server broadcasts
+ * "claim:release" `{ id, endSeq }` with the last stroke stored while it ran.
+ * Strokes by anyone but the owner numbered in between are clipped out of it
+ * here (and rejected by the server); `at` / `until` are only shown.
+ *
+ * How much a wallet may lock scales with its holdings (balance / `required`
+ * of its best mint): `claim.areaPerRatio` world units² per multiple, capped
+ * at `claim.maxArea`. The tier's `claims` is how many it may hold at once.
+ */
+
+import { rectsOverlap } from "./strokes";
+import { strokeSeq } from "./moderation";
+
+/** Largest claim area for a holding `ratio` (0 below the access bar) */
+export function maxClaimArea(config, ratio) {
+  if (!(ratio >= 1)) return 0;
+  return Math.min(config.claim.maxArea, config.claim.areaPerRatio * ratio);
+}
+
+/**
+ * Drag from (x0, y0) to (x1, y1) shrunk towards its anchor so the rectangle
+ * stays within `maxArea`; returns the clamped corner.
+ */
+export function fitClaim(x0, y0, x1, y1, maxArea) {
+  const area = Math.abs((x1 - x0) * (y1 - y0));
+  if (area <= maxArea) return { x: x1, y: y1 };
+  const k = Math.sqrt(maxArea / area);
+  return { x: x0 + (x1 - x0) * k, y: y0 + (y1 - y0) * k };
+}
+
+/** Normalise a claim message; null when it is unusable */
+export function toClaim(m) {
+  const r = m?.rect;
+  if (!m?.id || !m.owner || !r || !(r.w > 0 && r.h > 0)) return null;
+  const rect = { x: +r.x, y: +r.y, w: +r.w, h: +r.h };
+  return {
+    id: m.id,
+    owner: m.owner,
+    rect,
+    // the same shape/bounds pair as rollbacks, so excludeClip takes both
+    shape: { rect },
+    bounds: rect,
+    at: Number(m.at) || 0,
+    until: Number(m.until) || 0,
+    seq: Number(m.seq) || 0,
+    endSeq: m.endSeq == null ? null : Number(m.endSeq),
+  };
+}
+
+/** Claims that stroke `s` (with world bounds `b`) may not draw into */
+export function claimsFor(claims, s, b) {
+  if (!b) return [];
+  const seq = strokeSeq(s);
+  return claims.filter(
+    (c) =>
+      c.owner !== s.author &&
+      seq > c.seq &&
+      (c.endSeq == null || seq <= c.endSeq) &&
+      rectsOverlap(c.bounds, b)
+  );
+}
+
+export const isLive = (c, now = Date.now()) => c.until > now;
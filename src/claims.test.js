@@ -0,0 +1,58 @@
+import { claimsFor, toClaim, fitClaim, maxClaimArea } from "./claims";
+
+const claim = toClaim({
+  id: "c1",
+  owner: "alice",
+  rect: { x: 0, y: 0, w: 100, h: 100 },
+  at: 1000,
+  until: 2000,
+  seq: 10,
+});
+const box = { x: 10, y: 10, w: 5, h: 5 };
+
+describe("claimsFor", () => {
+  test("clips other authors' strokes numbered while the claim runs", () => {
+    expect(claimsFor([claim], { seq: 11, author: "bob" }, box)).toEqual([
+      claim,
+    ]);
+    expect(claimsFor([claim], { seq: 10, author: "bob" }, box)).toEqual([]);
+    expect(claimsFor([claim], { seq: 11, author: "alice" }, box)).toEqual([]);
+  });
+
+  test("ignores client clocks", () => {
+    const s = { seq: 11, author: "bob", t: 0 };
+    expect(claimsFor([claim], s, box)).toHaveLength(1);
+    expect(claimsFor([claim], { ...s, seq: 3, t: 1500 }, box)).toEqual([]);
+  });
+
+  test("stops at the claim's end", () => {
+    const ended = { ...claim, endSeq: 20 };
+    expect(claimsFor([ended], { seq: 20, author: "bob" }, box)).toHaveLength(1);
+    expect(claimsFor([ended], { seq: 21, author: "bob" }, box)).toEqual([]);
+  });
+
+  test("treats our unsent ink as newest and unnumbered history as oldest", () => {
+    expect(claimsFor([claim], { cseq: 5, author: "bob" }, box)).toHaveLength(1);
+    expect(claimsFor([claim], { author: "bob" }, box)).toEqual([]);
+  });
+
+  test("only where the stroke overlaps", () => {
+    const far = { x: 500, y: 500, w: 5, h: 5 };
+    expect(claimsFor([claim], { seq: 11, author: "bob" }, far)).toEqual([]);
+  });
+});
+
+describe("claim size", () => {
+  const config = { claim: { areaPerRatio: 100, maxArea: 1000 } };
+
+  test("grows with holdings up to the cap", () => {
+    expect(maxClaimArea(config, 0.5)).toBe(0);
+    expect(maxClaimArea(config, 3)).toBe(300);
+    expect(maxClaimArea(config, 50)).toBe(1000);
+  });
+
+  test("a drag is shrunk towards its anchor", () => {
+    expect(fitClaim(0, 0, 10, 10, 400)).toEqual({ x: 10, y: 10 });
+    expect(fitClaim(0, 0, 40, 40, 400)).toEqual({ x: 20, y: 20 });
+  });
+});
@@ -0,0 +1,220 @@
+/** --- Runtime configuration ---
+ * One build serves several community canvases. Settings are resolved as
+ *
+ *   DEFAULT_CONFIG  <-  window.PUMP_CONFIG (injected)  <-  GET <config url>
+ *
+ * where the config url is window.PUMP_CONFIG_URL, REACT_APP_CONFIG_URL or
+ * `${backend}/config`. Shape:
+ *
+ *   {
+ *     name: "Pump Ball",
+ *     mints: [{ address, symbol?, required, url? }],  // any one qualifies
+ *     demoLimit: 10,
+ *     rpcUrls: ["https://…", …],                     // tried in order
+ *     rpcTimeout: 8000, rpcRetries: 2,
+ *     tiers: [{ id, name, ratio, maxSize, colors, inkPerMinute, claims }],
+ *     claim: { areaPerRatio, maxArea, minutes },      // see claims.js
+ *     moderators: ["<wallet>", …],                   // see moderation.js
+ *   }
+ *
+ * A tier applies once some mint's balance / `required` reaches its `ratio`
+ * (0 = demo, 1 = the access bar). `colors: null` means any colour.
+ */
+
+export const DEFAULT_CONFIG = {
+  name: "Pump Ball",
+  mints: [
+    {
+      address: "37gh3B2RYV3vAvnUEmVMkaskMtUZwyqogXzV22fRpump",
+      symbol: "",
+      required: 100_000,
+    },
+  ],
+  demoLimit: 10,
+  rpcUrls: ["https://solana-rpc.publicnode.com"],
+  rpcTimeout: 8000,
+  rpcRetries: 2,
+  tiers: [
+    {
+      id: "demo",
+      name: "Demo",
+      ratio: 0,
+      maxSize: 12,
+      colors: [
+        "#111111",
+        "#ffffff",
+        "#e53935",
+        "#fb8c00",
+        "#fdd835",
+        "#43a047",
+        "#1e88e5",
+        "#8e24aa",
+      ],
+      inkPerMinute: 2000,
+      claims: 0,
+    },
+    {
+      id: "holder",
+      name: "Holder",
+      ratio: 1,
+      maxSize: 40,
+      colors: null,
+      inkPerMinute: 6000,
+      claims: 1,
+    },
+    {
+      id: "whale",
+      name: "Whale",
+      ratio: 10,
+      maxSize: 80,
+      colors: null,
+      inkPerMinute: 20000,
+      claims: 3,
+    },
+  ],
+  claim: { areaPerRatio: 40_000, maxArea: 1_000_000, minutes: 60 },
+  moderators: [],
+};
+
+/** Fill defaults and derived fields (pump.fun link per mint) */
+export function normalizeConfig(raw) {
+  const c = { ...DEFAULT_CONFIG, ...(raw || {}) };
+  const mints =
+    Array.isArray(c.mints) && c.mints.length ? c.mints : DEFAULT_CONFIG.mints;
+  c.mints = mints
+    .filter((m) => m && m.address)
+    .map((m) => ({
+      symbol: "",
+      url: `https://pump.fun/coin/${m.address}`,
+      ...m,
+      required: Number(m.required) || 0,
+    }));
+  const urls = [].concat(c.rpcUrls || c.rpcUrl || []).filter(Boolean);
+  c.rpcUrls = urls.length ? urls : DEFAULT_CONFIG.rpcUrls;
+  // 0 is a valid limit (no demo strokes)
+  const demoLimit = c.demoLimit == null ? NaN : Number(c.demoLimit);
+  c.demoLimit =
+    Number.isFinite(demoLimit) && demoLimit >= 0
+      ? demoLimit
+      : DEFAULT_CONFIG.demoLimit;
+  c.moderators = Array.isArray(c.moderators) ? c.moderators : [];
+  c.claim = { ...DEFAULT_CONFIG.claim, ...(c.claim || {}) };
+  const tiers =
+    Array.isArray(c.tiers) && c.tiers.length ? c.tiers : DEFAULT_CONFIG.tiers;
+  c.tiers = tiers
+    .filter((t) => t && t.id)
+    .map((t) => ({
+      name: t.id,
+      maxSize: 40,
+      colors: null,
+      inkPerMinute: 6000,
+      claims: 0,
+      ...t,
+      ratio: Number(t.ratio) || 0,
+    }))
+    .sort((a, b) => a.ratio - b.ratio);
+  return c;
+}
+
+/** Synchronous part: defaults + window injection + legacy env overrides */
+export function initialConfig() {
+  const injected = (typeof window !== "undefined" && window.PUMP_CONFIG) || {};
+  const rpc =
+    (typeof window !== "undefined" && window.PUMP_RPC_URL) ||
+    process.env.REACT_APP_RPC_URL;
+  return normalizeConfig({
+    ...injected,
+    ...(rpc && !injected.rpcUrls ? { rpcUrls: [rpc] } : {}),
+  });
+}
+
+/** Merge the config endpoint (if any answers) over the initial config */
+export async function fetchConfig(backendUrl, base) {
+  const url =
+    (typeof window !== "undefined" && window.PUMP_CONFIG_URL) ||
+    process.env.REACT_APP_CONFIG_URL ||
+    `${backendUrl}/config`;
+  const res = await fetch(url, { headers: { accept: "application/json" } });
+  if (!res.ok) throw new Error(`config HTTP ${res.status}`);
+  return normalizeConfig({ ...base, ...(await res.json()) });
+}
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+/**
+ * JSON-RPC call over the configured endpoints: each round tries every URL
+ * with a per-request timeout, rounds back off exponentially. Errors returned
+ * by a node (json.error) are final and not retried elsewhere.
+ */
+export async function rpcCall(config, method, params) {
+  const body = JSON.stringify({
+    jsonrpc: "2.0",
+    id: Date.now(),
+    method,
+    params,
+  });
+  let lastErr = null;
+  for (let round = 0; round <= config.rpcRetries; round++) {
+    if (round) await sleep(300 * 2 ** (round - 1));
+    for (const url of config.rpcUrls) {
+      const ctrl = new AbortController();
+      const timer = setTimeout(() => ctrl.abort(), config.rpcTimeout);
+      let json;
+      try {
+        const res = await fetch(url, {
+          method: "POST",
+          headers: { "content-type": "application/json" },
+          body,
+          signal: ctrl.signal,
+        });
+        if (!res.ok) throw new Error(`RPC HTTP ${res.status}`);
+        json = await res.json();
+      } catch (e) {
+        lastErr = e.name === "AbortError" ? new Error("RPC timeout") : e;
+        continue;
+      } finally {
+        clearTimeout(timer);
+      }
+      if (json.error) throw new Error(json.error.message || "RPC error");
+      return json.result;
+    }
+  }
+  throw lastErr || new Error("RPC unavailable");
+}
+
+/** "100,000 PUMP" / "100,000 tokens" */
+export function mintAmountText(m, amount = m.required) {
+  return `${Number(amount).toLocaleString()} ${m.symbol || "tokens"}`;
+}
+
+/** Human requirement, e.g. "100,000 PUMP or 5,000 BALL" */
+export function requirementText(config) {
+  return config.mints.map((m) => mintAmountText(m)).join(" or ");
+}
+
+/** Lowest tier: what demo (non-holder) users get */
+export function baseTier(config) {
+  return config.tiers[0];
+}
+
+export function tierById(config, id) {
+  return config.tiers.find((t) => t.id === id) || null;
+}
+
+/** Best balance / `required` among `held` ([{ mint, amount }]) */
+export function holdingRatio(held) {
+  let best = 0;
+  for (const h of held) {
+    if (h.mint.required > 0) best = Math.max(best, h.amount / h.mint.required);
+    else if (h.amount > 0) best = Infinity;
+  }
+  return best;
+}
+
+/** Best tier reached by any of `held` */
+export function tierFor(config, held) {
+  const best = holdingRatio(held);
+  let tier = baseTier(config);
+  for (const t of config.tiers) if (best >= t.ratio) tier = t;
+  return tier;
+}
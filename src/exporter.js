@@ -0,0 +1,232 @@
+/** --- Export + share links ---
+ * PNG exports are rendered from the tile store (so fills and snapshot tiles
+ * are included); SVG and JSON are built from the stroke history. A history
+ * that starts from a snapshot only holds the strokes after it, so those two
+ * also carry the snapshot images (`base`: [{ x, y, w, h, href }], PNG data
+ * URLs in world rects) for the ink before. Moderator rollbacks and claims
+ * are clipped out of the strokes they cover, as on the canvas: `cutsOf(s)`
+ * returns their `{shape}`s; SVG wraps the stroke in even-odd clip paths and
+ * JSON lists the shapes under the stroke's `cuts`. Share links
+ * carry the flat view in the hash:
+ *
+ *   #view=<offsetX>,<offsetY>,<scale>
+ */
+
+import {
+  BALL_COLOR,
+  FONTS,
+  SHAPE_TOOLS,
+  TEXT_SCALE,
+  sprayDots,
+} from "./strokes";
+
+/** Render world `rect` of the ball to a new canvas `width` px wide */
+export function renderRegion(tiles, radius, rect, width) {
+  const w = Math.max(1, Math.round(width));
+  const h = Math.max(1, Math.round((w * rect.h) / rect.w));
+  const k = w / rect.w;
+  const c = document.createElement("canvas");
+  c.width = w;
+  c.height = h;
+  const ctx = c.getContext("2d");
+  ctx.setTransform(k, 0, 0, k, -rect.x * k, -rect.y * k);
+  ctx.beginPath();
+  ctx.arc(0, 0, radius, 0, Math.PI * 2);
+  ctx.fillStyle = BALL_COLOR;
+  ctx.fill();
+  ctx.clip();
+  tiles.draw(ctx, rect, k);
+  return c;
+}
+
+export function canvasToBlob(canvas) {
+  return new Promise((resolve, reject) =>
+    canvas.toBlob(
+      (b) => (b ? resolve(b) : reject(new Error("PNG encoding failed"))),
+      "image/png"
+    )
+  );
+}
+
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+const esc = (v) =>
+  String(v).replace(/[&<>"]/g, (ch) => `&#${ch.charCodeAt(0)};`);
+const n = (v) => +v.toFixed(2);
+
+function segmentPath(s) {
+  return s.cx == null
+    ? `M${n(s.x0)} ${n(s.y0)}L${n(s.x1)} ${n(s.y1)}`
+    : `M${n(s.x0)} ${n(s.y0)}Q${n(s.cx)} ${n(s.cy)} ${n(s.x1)} ${n(s.y1)}`;
+}
+
+function shapeSVG(s, color) {
+  const paint = `stroke="${color}" stroke-width="${n(s.size || 3)}"${
+    s.filled && s.tool !== "line" ? ` fill="${color}"` : ""
+  }`;
+  if (s.tool === "polygon") {
+    return `<polygon points="${(s.pts || []).map(n).join(" ")}" ${paint}/>`;
+  }
+  if (s.tool === "line") {
+    return `<path d="${segmentPath(s)}" ${paint} stroke-linecap="round"/>`;
+  }
+  const x = Math.min(s.x0, s.x1),
+    y = Math.min(s.y0, s.y1);
+  const w = Math.abs(s.x1 - s.x0),
+    h = Math.abs(s.y1 - s.y0);
+  return s.tool === "rect"
+    ? `<rect x="${n(x)}" y="${n(y)}" width="${n(w)}" height="${n(h)}" ${paint}/>`
+    : `<ellipse cx="${n(x + w / 2)}" cy="${n(y + h / 2)}" rx="${n(
+        w / 2
+      )}" ry="${n(h / 2)}" ${paint}/>`;
+}
+
+function segmentSVG(s) {
+  const color = esc(s.tool === "eraser" ? BALL_COLOR : s.color || "#111");
+  if (SHAPE_TOOLS.includes(s.tool)) return shapeSVG(s, color);
+  if (s.tool === "text") {
+    const px = (s.size || 3) * TEXT_SCALE;
+    const family = esc((FONTS[s.font] || FONTS[0]).css);
+    return `<text x="${n(s.x)}" y="${n(
+      s.y
+    )}" font-size="${px}" font-family="${family}" dominant-baseline="text-before-edge" fill="${color}" stroke="none">${esc(
+      s.text || ""
+    )}</text>`;
+  }
+  if (s.tool === "spray") {
+    return sprayDots(s)
+      .map(
+        (p) =>
+          `<rect x="${n(p.x)}" y="${n(p.y)}" width="${n(p.d)}" height="${n(
+            p.d
+          )}" fill="${color}"/>`
+      )
+      .join("");
+  }
+  // pressure segments are exported at their mean width
+  const size = s.size || 3;
+  const width =
+    s.p0 != null && s.p1 != null ? size * (0.2 + 0.4 * (s.p0 + s.p1)) : size;
+  const extra =
+    s.tool === "highlighter"
+      ? ` stroke-linecap="butt" opacity="${s.opacity ?? 0.35}" style="mix-blend-mode:multiply"`
+      : ` stroke-linecap="round"`;
+  return `<path d="${segmentPath(s)}" stroke="${color}" stroke-width="${n(
+    width
+  )}"${extra}/>`;
+}
+
+/** `d` for everything in the ball's square except `shape` (even-odd) */
+function cutPath(shape, radius) {
+  const d = radius * 2;
+  const outer = `M${-radius} ${-radius}h${d}v${d}h${-d}Z`;
+  if (shape.rect) {
+    const r = shape.rect;
+    return `${outer}M${n(r.x)} ${n(r.y)}h${n(r.w)}v${n(r.h)}h${n(-r.w)}Z`;
+  }
+  const pts = shape.lasso.map(n);
+  const rest = [];
+  for (let i = 2; i + 1 < pts.length; i += 2) {
+    rest.push(`L${pts[i]} ${pts[i + 1]}`);
+  }
+  return `${outer}M${pts[0]} ${pts[1]}${rest.join("")}Z`;
+}
+
+/** Snapshot parts `{x, y, w, h, img}` as `base` entries for the exports */
+export function snapshotBase(parts) {
+  return parts.map((b) => {
+    if (!b.href) {
+      const c = document.createElement("canvas");
+      c.width = b.img.width;
+      c.height = b.img.height;
+      c.getContext("2d").drawImage(b.img, 0, 0);
+      b.href = c.toDataURL("image/png");
+    }
+    return { x: b.x, y: b.y, w: b.w, h: b.h, href: b.href };
+  });
+}
+
+/**
+ * Vector copy of the history over its raster `base`. Flood fills depend on
+ * the pixels under them and have no vector form, so they are left out (use
+ * PNG for a faithful copy).
+ */
+export function strokesToSVG(strokes, radius, base = [], cutsOf = () => []) {
+  const live = strokes.filter((s) => !s.undone);
+  const skipped = live.filter((s) => s.tool === "fill").length;
+  const clipIds = new Map();
+  const body = live
+    .filter((s) => s.tool !== "fill")
+    .map((s) =>
+      cutsOf(s).reduce((svg, cut) => {
+        if (!clipIds.has(cut)) clipIds.set(cut, `cut-${clipIds.size}`);
+        return `<g clip-path="url(#${clipIds.get(cut)})">${svg}</g>`;
+      }, segmentSVG(s))
+    )
+    .join("\n");
+  const clips = [...clipIds].map(
+    ([cut, id]) =>
+      `<clipPath id="${id}"><path clip-rule="evenodd" d="${cutPath(
+        cut.shape,
+        radius
+      )}"/></clipPath>`
+  );
+  const d = radius * 2;
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" viewBox="${-radius} ${-radius} ${d} ${d}" width="${d}" height="${d}">`,
+    skipped ? `<!-- ${skipped} flood fill(s) omitted -->` : "",
+    `<defs><clipPath id="ball"><circle r="${radius}"/></clipPath>${clips.join(
+      ""
+    )}</defs>`,
+    `<circle r="${radius}" fill="${BALL_COLOR}"/>`,
+    `<g clip-path="url(#ball)" fill="none" stroke-linejoin="round">`,
+    ...base.map(
+      (b) =>
+        `<image x="${n(b.x)}" y="${n(b.y)}" width="${n(b.w)}" height="${n(b.h)}" preserveAspectRatio="none" href="${esc(b.href)}"/>`
+    ),
+    body,
+    `</g>`,
+    `</svg>`,
+  ]
+    .filter(Boolean)
+    .join("\n");
+}
+
+export function strokesToJSON(strokes, radius, base = [], cutsOf = () => []) {
+  return JSON.stringify({
+    format: "pumpball-strokes",
+    version: 1,
+    radius,
+    exportedAt: new Date().toISOString(),
+    ...(base.length ? { base } : {}),
+    strokes: strokes
+      .filter((s) => !s.undone)
+      .map((s) => {
+        const cuts = cutsOf(s);
+        return cuts.length ? { ...s, cuts: cuts.map((c) => c.shape) } : s;
+      }),
+  });
+}
+
+/** `#view=x,y,scale` for the given offset/scale */
+export function viewHash(offset, scale) {
+  return `#view=${n(offset.x)},${n(offset.y)},${+scale.toPrecision(4)}`;
+}
+
+/** Parse a share hash; null when absent or malformed */
+export function parseViewHash(hash) {
+  const m = /(?:^#|&)view=(-?[\d.]+),(-?[\d.]+),([\d.e-]+)/.exec(hash || "");
+  if (!m) return null;
+  const [x, y, scale] = m.slice(1).map(Number);
+  if (![x, y, scale].every(Number.isFinite) || scale <= 0) return null;
+  return { offset: { x, y }, scale };
+}
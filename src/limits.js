@@ -0,0 +1,162 @@
+/** --- Ink budget + payload checks ---
+ * Drawing spends ink from a token bucket that refills at the tier's
+ * `inkPerMinute` and holds one minute's worth. A segment costs its length
+ * plus its width; a flood fill costs FILL_COST; shapes cost their outline
+ * (plus AREA_RATE per unit of area when filled) and text its length times
+ * its font size. The server keeps the same bucket per author, so the client
+ * meter is only a preview.
+ *
+ * Incoming strokes are checked before they reach the buffer; anything that
+ * fails is dropped.
+ */
+
+import {
+  SHAPE_TOOLS,
+  TEXT_SCALE,
+  MAX_TEXT,
+  FONTS,
+  strokesBounds,
+} from "./strokes";
+
+export const FILL_COST = 400;
+export const MAX_DENSITY = 200;
+export const AREA_RATE = 1 / 100;
+const MAX_POLY = 64; // polygon vertices
+
+const TOOLS = [
+  "brush",
+  "eraser",
+  "highlighter",
+  "spray",
+  "fill",
+  ...SHAPE_TOOLS,
+  "text",
+];
+const HEX = /^#[0-9a-f]{6}$/i;
+
+function polyPerimeter(p) {
+  let len = 0;
+  for (let i = 0; i + 1 < p.length; i += 2) {
+    const j = (i + 2) % p.length;
+    len += Math.hypot(p[j] - p[i], p[j + 1] - p[i + 1]);
+  }
+  return len;
+}
+
+export function inkCost(s) {
+  if (s.tool === "fill") return FILL_COST;
+  if (s.tool === "text") {
+    return String(s.text || "").length * (s.size || 3) * TEXT_SCALE;
+  }
+  if (s.tool === "polygon" || s.tool === "rect" || s.tool === "ellipse") {
+    const w = Math.abs(s.x1 - s.x0),
+      h = Math.abs(s.y1 - s.y0);
+    const b = s.tool === "polygon" ? strokesBounds([s]) : { w, h };
+    const outline =
+      s.tool === "polygon"
+        ? polyPerimeter(s.pts || [])
+        : s.tool === "rect"
+          ? 2 * (w + h)
+          : Math.PI * (w + h) * 0.5;
+    return outline + (s.size || 0) + (s.filled ? b.w * b.h * AREA_RATE : 0);
+  }
+  const len =
+    s.cx == null
+      ? Math.hypot(s.x1 - s.x0, s.y1 - s.y0)
+      : Math.hypot(s.cx - s.x0, s.cy - s.y0) +
+        Math.hypot(s.x1 - s.cx, s.y1 - s.cy);
+  return len + (s.size || 0);
+}
+
+export function createInkBucket(perMinute, now = () => performance.now()) {
+  let rate = perMinute / 60000;
+  let capacity = perMinute;
+  let level = capacity;
+  let at = now();
+
+  const refill = () => {
+    const t = now();
+    level = Math.min(capacity, level + (t - at) * rate);
+    at = t;
+  };
+
+  return {
+    /** Spend `cost` if there is enough ink left */
+    take(cost) {
+      refill();
+      if (level < cost) return false;
+      level -= cost;
+      return true;
+    },
+    /** 0..1 */
+    fraction() {
+      refill();
+      return capacity ? level / capacity : 0;
+    },
+    /** ms until `cost` ink is available */
+    waitFor(cost) {
+      refill();
+      return rate ? Math.max(0, (cost - level) / rate) : Infinity;
+    },
+    setRate(next) {
+      refill();
+      const frac = capacity ? level / capacity : 1;
+      rate = next / 60000;
+      capacity = next;
+      level = frac * capacity;
+    },
+  };
+}
+
+const finite = (...vs) => vs.every((v) => typeof v === "number" && isFinite(v));
+const unit = (v) => v == null || (finite(v) && v >= 0 && v <= 1);
+
+/** Does an incoming stroke stay inside the ball and the allowed ranges? */
+export function isValidStroke(s, radius, maxSize) {
+  if (!s || typeof s !== "object") return false;
+  if (s.tool != null && !TOOLS.includes(s.tool)) return false;
+  // legacy strokes may lack colour and size: they draw in #111 at 3
+  if (s.color != null && !HEX.test(s.color) && s.tool !== "eraser") {
+    return false;
+  }
+  const inside = (x, y) => finite(x, y) && Math.hypot(x, y) <= radius;
+
+  if (s.tool === "fill") {
+    return (
+      inside(s.x, s.y) &&
+      (s.tolerance == null ||
+        (finite(s.tolerance) && s.tolerance >= 0 && s.tolerance <= 255))
+    );
+  }
+  const size = s.size ?? 3;
+  if (!finite(size) || size <= 0 || size > maxSize) return false;
+  if (s.tool === "text") {
+    return (
+      inside(s.x, s.y) &&
+      typeof s.text === "string" &&
+      s.text.length > 0 &&
+      s.text.length <= MAX_TEXT &&
+      (s.font == null || (s.font >= 0 && s.font < FONTS.length))
+    );
+  }
+  // points may sit up to the stroke width outside the rim
+  const pad = radius + size;
+  const near = (x, y) => finite(x, y) && Math.hypot(x, y) <= pad;
+  if (s.tool === "polygon") {
+    const p = s.pts;
+    if (!Array.isArray(p) || p.length < 6 || p.length > MAX_POLY * 2) {
+      return false;
+    }
+    for (let i = 0; i + 1 < p.length; i += 2) {
+      if (!near(p[i], p[i + 1])) return false;
+    }
+    return true;
+  }
+  if (!near(s.x0, s.y0) || !near(s.x1, s.y1)) return false;
+  if (s.cx != null && !near(s.cx, s.cy)) return false;
+  if (!unit(s.p0) || !unit(s.p1) || !unit(s.opacity)) return false;
+  if (s.tool === "spray" && !(s.density >= 0 && s.density <= MAX_DENSITY)) {
+    return false;
+  }
+  return true;
+}
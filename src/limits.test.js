@@ -0,0 +1,42 @@
+import { createInkBucket, inkCost, isValidStroke, FILL_COST } from "./limits";
+
+const R = 2000;
+const seg = { x0: 0, y0: 0, x1: 30, y1: 40, color: "#ff0000", size: 4 };
+
+describe("isValidStroke", () => {
+  test("accepts a plain segment", () => {
+    expect(isValidStroke(seg, R, 12)).toBe(true);
+  });
+
+  test("keeps legacy strokes without colour or size", () => {
+    expect(isValidStroke({ x0: 0, y0: 0, x1: 5, y1: 5 }, R, 12)).toBe(true);
+  });
+
+  test("rejects bad colours, sizes and points outside the ball", () => {
+    expect(isValidStroke({ ...seg, color: "red;x" }, R, 12)).toBe(false);
+    expect(isValidStroke({ ...seg, size: 40 }, R, 12)).toBe(false);
+    expect(isValidStroke({ ...seg, x1: R * 2 }, R, 12)).toBe(false);
+    expect(isValidStroke({ ...seg, tool: "laser" }, R, 12)).toBe(false);
+  });
+});
+
+describe("ink", () => {
+  test("segments cost length plus width, fills a flat rate", () => {
+    expect(inkCost(seg)).toBe(54);
+    expect(inkCost({ tool: "fill", x: 0, y: 0 })).toBe(FILL_COST);
+  });
+
+  test("the bucket refills at its rate up to one minute's worth", () => {
+    let t = 0;
+    const bucket = createInkBucket(600, () => t);
+    expect(bucket.take(600)).toBe(true);
+    expect(bucket.take(1)).toBe(false);
+    t = 1000;
+    expect(bucket.take(10)).toBe(true);
+    expect(bucket.take(1)).toBe(false);
+    t = 31000;
+    expect(bucket.fraction()).toBeCloseTo(0.5);
+    t = 120000;
+    expect(bucket.fraction()).toBe(1);
+  });
+});
@@ -0,0 +1,100 @@
+/** --- Moderation ---
+ * Moderators (wallets listed in config.moderators, checked again by the
+ * server) can
+ *
+ *   hide an author      { author, hidden }            -> "mod:hide"
+ *   roll back a region  { id, shape, minutes }        -> "mod:rollback"
+ *
+ * The server turns `minutes` into the range of strokes it received in that
+ * window and answers (ack `{ rollback }`, broadcast as "mod:rollback") with
+ * `{ id, shape, after, upTo }`: inside `shape`, every stroke with a server
+ * seq above `after` and up to `upTo` is removed; later ink draws normally.
+ * Seqs rather than timestamps, so clock skew between machines can't move the
+ * cut. Shapes are `{ rect: {x, y, w, h} }` or `{ lasso: [x0, y0, x1, y1, …] }`
+ * in world units. The server sends the full state as "moderation" on connect.
+ */
+
+import { rectsOverlap } from "./strokes";
+
+export function shapeBounds(shape) {
+  if (shape?.rect) return shape.rect;
+  const pts = shape?.lasso || [];
+  let minX = Infinity,
+    minY = Infinity,
+    maxX = -Infinity,
+    maxY = -Infinity;
+  for (let i = 0; i + 1 < pts.length; i += 2) {
+    minX = Math.min(minX, pts[i]);
+    maxX = Math.max(maxX, pts[i]);
+    minY = Math.min(minY, pts[i + 1]);
+    maxY = Math.max(maxY, pts[i + 1]);
+  }
+  if (minX > maxX) return null;
+  return { x: minX, y: minY, w: maxX - minX, h: maxY - minY };
+}
+
+/** Add the shape's outline to the current path */
+export function traceShape(ctx, shape) {
+  if (shape.rect) {
+    const r = shape.rect;
+    ctx.rect(r.x, r.y, r.w, r.h);
+    return;
+  }
+  const pts = shape.lasso;
+  ctx.moveTo(pts[0], pts[1]);
+  for (let i = 2; i + 1 < pts.length; i += 2) ctx.lineTo(pts[i], pts[i + 1]);
+  ctx.closePath();
+}
+
+/**
+ * Where a stroke sits in the server order: its seq, or for our own ink the
+ * server has not numbered yet (it has a `cseq`) the newest place; strokes
+ * from before seqs existed count as the oldest
+ */
+export function strokeSeq(s) {
+  if (s.seq != null) return s.seq;
+  return s.cseq != null ? Infinity : 0;
+}
+
+/** Rollbacks that cut into stroke `s` (with world bounds `b`) */
+export function rollbacksFor(rollbacks, s, b) {
+  if (!b) return [];
+  const seq = strokeSeq(s);
+  return rollbacks.filter(
+    (r) => seq > r.after && seq <= r.upTo && rectsOverlap(r.bounds, b)
+  );
+}
+
+/**
+ * Clip function for tiles.paint: the optional `rect` minus every rollback
+ * shape (one even-odd clip per shape so overlapping shapes don't cancel).
+ */
+export function excludeClip(rect, cuts) {
+  return (ctx) => {
+    if (rect) {
+      ctx.beginPath();
+      ctx.rect(rect.x, rect.y, rect.w, rect.h);
+      ctx.clip();
+    }
+    for (const r of cuts) {
+      const b = r.bounds;
+      ctx.beginPath();
+      ctx.rect(b.x - 1e4, b.y - 1e4, b.w + 2e4, b.h + 2e4);
+      traceShape(ctx, r.shape);
+      ctx.clip("evenodd");
+    }
+  };
+}
+
+/** Normalise a rollback message; null when its shape is unusable */
+export function toRollback(m) {
+  const bounds = shapeBounds(m?.shape);
+  if (!bounds || m.shape.lasso?.length < 6) return null;
+  return {
+    id: m.id,
+    shape: m.shape,
+    bounds,
+    after: Number(m.after) || 0,
+    upTo: Number(m.upTo) || 0,
+  };
+}
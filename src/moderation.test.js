@@ -0,0 +1,48 @@
+import { rollbacksFor, toRollback, strokeSeq } from "./moderation";
+import { strokesToSVG, strokesToJSON } from "./exporter";
+
+const rollback = toRollback({
+  id: "r1",
+  shape: { rect: { x: 0, y: 0, w: 100, h: 100 } },
+  after: 10,
+  upTo: 20,
+});
+const box = { x: 10, y: 10, w: 5, h: 5 };
+
+describe("rollbacksFor", () => {
+  test("cuts strokes numbered inside the range", () => {
+    expect(rollbacksFor([rollback], { seq: 11 }, box)).toEqual([rollback]);
+    expect(rollbacksFor([rollback], { seq: 20 }, box)).toEqual([rollback]);
+    expect(rollbacksFor([rollback], { seq: 10 }, box)).toEqual([]);
+    expect(rollbacksFor([rollback], { seq: 21 }, box)).toEqual([]);
+  });
+
+  test("leaves ink the server has not numbered yet", () => {
+    expect(rollbacksFor([rollback], { cseq: 3, t: 1 }, box)).toEqual([]);
+  });
+});
+
+test("strokeSeq orders unsent ink last and legacy ink first", () => {
+  expect(strokeSeq({ seq: 7 })).toBe(7);
+  expect(strokeSeq({ cseq: 1 })).toBe(Infinity);
+  expect(strokeSeq({})).toBe(0);
+});
+
+describe("exports", () => {
+  const cut = { x0: 5, y0: 5, x1: 15, y1: 15, seq: 12 };
+  const kept = { x0: 5, y0: 5, x1: 15, y1: 15, seq: 30 };
+  const cutsOf = (s) => rollbacksFor([rollback], s, box);
+
+  test("SVG clips rolled-back strokes out of the rollback area", () => {
+    const svg = strokesToSVG([cut, kept], 50, [], cutsOf);
+    expect(svg.match(/<clipPath id="cut-0">/g)).toHaveLength(1);
+    expect(svg.match(/clip-path="url\(#cut-0\)"/g)).toHaveLength(1);
+    expect(svg).toContain("M0 0h100v100h-100Z");
+  });
+
+  test("JSON lists the cut shapes on the strokes they cover", () => {
+    const { strokes } = JSON.parse(strokesToJSON([cut, kept], 50, [], cutsOf));
+    expect(strokes[0].cuts).toEqual([rollback.shape]);
+    expect(strokes[1].cuts).toBeUndefined();
+  });
+});
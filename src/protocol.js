@@ -0,0 +1,346 @@
+/** --- Binary stroke protocol ---
+ * Strokes are sent in batches (one per animation frame) packed as:
+ *
+ *   u8      version
+ *   varint  string count, then each: varint byte length + utf8 bytes
+ *           (the palette: colours, gesture ids and authors, deduplicated)
+ *   varint  stroke count, then per stroke:
+ *     u8      flags  (CURVE | PRESSURE | UNDONE | SEQ | CSEQ | TIER | TIME)
+ *     varint  server sequence number, delta against the previous one (SEQ)
+ *     varint  client sequence id used for acks, delta as above (CSEQ)
+ *     varint  timestamp in epoch ms, delta as above (TIME)
+ *     u8      tool   (index into TOOL_CODES)
+ *     varint  colour / id / author as palette index + 1 (0 = absent)
+ *     varint  holder tier id as a palette index + 1 (TIER)
+ *     varint  size * 10
+ *     points  zigzag varints, coordinates quantized to 1/QUANT world unit and
+ *             delta-encoded against the previous point in the batch
+ *     extras  per tool (pressure bytes, opacity, spray seed/density, fill
+ *             tolerance)
+ *
+ * Shapes replace the segment points with: line/rect/ellipse two points + u8
+ * filled; polygon varint point count, points, u8 filled; text one point, u8
+ * font and varint text as a palette index + 1.
+ *
+ * Anything that is not an ArrayBuffer / typed array is treated as the legacy
+ * JSON stroke (or array of strokes) and passed through unchanged.
+ */
+
+export const VERSION = 1;
+export const QUANT = 8;
+const TOOL_CODES = [
+  "brush",
+  "eraser",
+  "highlighter",
+  "spray",
+  "fill",
+  "line",
+  "rect",
+  "ellipse",
+  "polygon",
+  "text",
+];
+const BOX_SHAPES = ["line", "rect", "ellipse"];
+
+const F_CURVE = 1;
+const F_PRESSURE = 2;
+const F_UNDONE = 4;
+const F_SEQ = 8;
+const F_CSEQ = 16;
+const F_TIER = 32;
+const F_TIME = 64;
+
+const q = (v) => Math.round(v * QUANT);
+
+/** Snap a stroke's coordinates to the wire grid so local ink matches remote */
+export function quantize(s) {
+  const out = { ...s };
+  for (const k of ["x0", "y0", "x1", "y1", "cx", "cy", "x", "y"]) {
+    if (out[k] != null) out[k] = q(out[k]) / QUANT;
+  }
+  if (out.pts) out.pts = out.pts.map((v) => q(v) / QUANT);
+  return out;
+}
+
+/** --- byte writer / reader --- */
+function writer() {
+  let buf = new Uint8Array(256);
+  let len = 0;
+  const ensure = (n) => {
+    if (len + n <= buf.length) return;
+    const next = new Uint8Array(Math.max(buf.length * 2, len + n));
+    next.set(buf.subarray(0, len));
+    buf = next;
+  };
+  const w = {
+    u8(v) {
+      ensure(1);
+      buf[len++] = v & 255;
+    },
+    varint(v) {
+      v = Math.max(0, Math.floor(v));
+      ensure(8);
+      while (v >= 128) {
+        buf[len++] = (v % 128) | 128;
+        v = Math.floor(v / 128);
+      }
+      buf[len++] = v;
+    },
+    svarint(v) {
+      w.varint(v < 0 ? -2 * v - 1 : 2 * v);
+    },
+    bytes(b) {
+      ensure(b.length);
+      buf.set(b, len);
+      len += b.length;
+    },
+    done: () => buf.slice(0, len).buffer,
+  };
+  return w;
+}
+
+function reader(bytes) {
+  let pos = 0;
+  const r = {
+    u8() {
+      if (pos >= bytes.length) throw new Error("stroke batch truncated");
+      return bytes[pos++];
+    },
+    varint() {
+      let v = 0,
+        mul = 1,
+        b;
+      do {
+        b = r.u8();
+        v += (b & 127) * mul;
+        mul *= 128;
+      } while (b & 128);
+      return v;
+    },
+    svarint() {
+      const v = r.varint();
+      return v % 2 ? -(v + 1) / 2 : v / 2;
+    },
+    bytes(n) {
+      if (pos + n > bytes.length) throw new Error("stroke batch truncated");
+      const out = bytes.subarray(pos, pos + n);
+      pos += n;
+      return out;
+    },
+  };
+  return r;
+}
+
+export function isBinary(data) {
+  return data instanceof ArrayBuffer || ArrayBuffer.isView(data);
+}
+
+/** Pack a list of strokes into an ArrayBuffer */
+export function encodeBatch(strokes) {
+  const palette = new Map();
+  const ref = (str) => {
+    if (str == null || str === "") return 0;
+    if (!palette.has(str)) palette.set(str, palette.size);
+    return palette.get(str) + 1;
+  };
+  const body = writer();
+  let px = 0,
+    py = 0,
+    pseq = 0,
+    pcseq = 0,
+    pt = 0;
+  const point = (x, y) => {
+    const qx = q(x),
+      qy = q(y);
+    body.svarint(qx - px);
+    body.svarint(qy - py);
+    px = qx;
+    py = qy;
+  };
+
+  body.varint(strokes.length);
+  for (const s of strokes) {
+    const tool = Math.max(0, TOOL_CODES.indexOf(s.tool || "brush"));
+    const curved = s.cx != null;
+    const pressured = s.p0 != null && s.p1 != null;
+    body.u8(
+      (curved ? F_CURVE : 0) |
+        (pressured ? F_PRESSURE : 0) |
+        (s.undone ? F_UNDONE : 0) |
+        (s.seq != null ? F_SEQ : 0) |
+        (s.cseq != null ? F_CSEQ : 0) |
+        (s.tier ? F_TIER : 0) |
+        (s.t != null ? F_TIME : 0)
+    );
+    if (s.seq != null) {
+      body.svarint(s.seq - pseq);
+      pseq = s.seq;
+    }
+    if (s.cseq != null) {
+      body.svarint(s.cseq - pcseq);
+      pcseq = s.cseq;
+    }
+    if (s.t != null) {
+      body.svarint(Math.round(s.t) - pt);
+      pt = Math.round(s.t);
+    }
+    body.u8(tool);
+    body.varint(ref(s.color));
+    body.varint(ref(s.id));
+    body.varint(ref(s.author));
+    if (s.tier) body.varint(ref(s.tier));
+    body.varint(Math.round((s.size || 0) * 10));
+
+    if (s.tool === "fill") {
+      point(s.x, s.y);
+      body.varint(s.tolerance ?? 32);
+      continue;
+    }
+    if (s.tool === "text") {
+      point(s.x, s.y);
+      body.u8(s.font || 0);
+      body.varint(ref(s.text));
+      continue;
+    }
+    if (s.tool === "polygon") {
+      const pts = s.pts || [];
+      body.varint(pts.length / 2);
+      for (let i = 0; i + 1 < pts.length; i += 2) point(pts[i], pts[i + 1]);
+      body.u8(s.filled ? 1 : 0);
+      continue;
+    }
+    if (BOX_SHAPES.includes(s.tool)) {
+      point(s.x0, s.y0);
+      point(s.x1, s.y1);
+      body.u8(s.filled ? 1 : 0);
+      continue;
+    }
+    point(s.x0, s.y0);
+    if (curved) point(s.cx, s.cy);
+    point(s.x1, s.y1);
+    if (pressured) {
+      body.u8(Math.round(s.p0 * 100));
+      body.u8(Math.round(s.p1 * 100));
+    }
+    if (s.tool === "highlighter") {
+      body.u8(Math.round((s.opacity ?? 0.35) * 100));
+    }
+    if (s.tool === "spray") {
+      body.varint(s.seed >>> 0);
+      body.varint(s.density || 0);
+    }
+  }
+
+  const out = writer();
+  const enc = new TextEncoder();
+  out.u8(VERSION);
+  out.varint(palette.size);
+  for (const str of palette.keys()) {
+    const b = enc.encode(str);
+    out.varint(b.length);
+    out.bytes(b);
+  }
+  out.bytes(new Uint8Array(body.done()));
+  return out.done();
+}
+
+/** Unpack a batch; legacy JSON payloads are returned as a stroke array */
+export function decodeBatch(data) {
+  if (!isBinary(data)) {
+    if (Array.isArray(data)) return data;
+    return data ? [data] : [];
+  }
+  const bytes =
+    data instanceof ArrayBuffer
+      ? new Uint8Array(data)
+      : new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+  const r = reader(bytes);
+  const version = r.u8();
+  if (version !== VERSION) {
+    throw new Error(`unsupported stroke batch version ${version}`);
+  }
+
+  const dec = new TextDecoder();
+  const palette = [];
+  const n = r.varint();
+  for (let i = 0; i < n; i++) palette.push(dec.decode(r.bytes(r.varint())));
+  const lookup = (i) => (i ? palette[i - 1] : undefined);
+
+  let px = 0,
+    py = 0,
+    pseq = 0,
+    pcseq = 0,
+    pt = 0;
+  const point = () => {
+    px += r.svarint();
+    py += r.svarint();
+    return [px / QUANT, py / QUANT];
+  };
+
+  const strokes = [];
+  const count = r.varint();
+  for (let i = 0; i < count; i++) {
+    const flags = r.u8();
+    const s = {};
+    if (flags & F_SEQ) {
+      pseq += r.svarint();
+      s.seq = pseq;
+    }
+    if (flags & F_CSEQ) {
+      pcseq += r.svarint();
+      s.cseq = pcseq;
+    }
+    if (flags & F_TIME) {
+      pt += r.svarint();
+      s.t = pt;
+    }
+    const tool = TOOL_CODES[r.u8()] || "brush";
+    if (tool !== "brush") s.tool = tool;
+    const color = lookup(r.varint());
+    const id = lookup(r.varint());
+    const author = lookup(r.varint());
+    if (color) s.color = color;
+    if (id) s.id = id;
+    if (author) s.author = author;
+    if (flags & F_TIER) s.tier = lookup(r.varint());
+    const size = r.varint() / 10;
+
+    if (tool === "fill") {
+      [s.x, s.y] = point();
+      s.tolerance = r.varint();
+    } else if (tool === "text") {
+      s.size = size;
+      [s.x, s.y] = point();
+      s.font = r.u8();
+      s.text = lookup(r.varint()) || "";
+    } else if (tool === "polygon") {
+      s.size = size;
+      const n = r.varint();
+      s.pts = [];
+      for (let k = 0; k < n; k++) s.pts.push(...point());
+      if (r.u8()) s.filled = true;
+    } else if (BOX_SHAPES.includes(tool)) {
+      s.size = size;
+      [s.x0, s.y0] = point();
+      [s.x1, s.y1] = point();
+      if (r.u8()) s.filled = true;
+    } else {
+      s.size = size;
+      [s.x0, s.y0] = point();
+      if (flags & F_CURVE) [s.cx, s.cy] = point();
+      [s.x1, s.y1] = point();
+      if (flags & F_PRESSURE) {
+        s.p0 = r.u8() / 100;
+        s.p1 = r.u8() / 100;
+      }
+      if (tool === "highlighter") s.opacity = r.u8() / 100;
+      if (tool === "spray") {
+        s.seed = r.varint() | 0;
+        s.density = r.varint();
+      }
+    }
+    if (flags & F_UNDONE) s.undone = true;
+    strokes.push(s);
+  }
+  return strokes;
+}
@@ -0,0 +1,137 @@
+/**
+ * @jest-environment node
+ */
+import { encodeBatch, decodeBatch, quantize, QUANT } from "./protocol";
+
+const strokes = [
+  {
+    x0: 1.5,
+    y0: -2.25,
+    cx: 3,
+    cy: 4,
+    x1: 10.125,
+    y1: 7,
+    p0: 0.2,
+    p1: 0.8,
+    color: "#ff0000",
+    size: 6,
+    id: "g1",
+    author: "anon-abc",
+    tier: "holder",
+    t: 1_700_000_000_000,
+    seq: 41,
+  },
+  {
+    x0: 10.125,
+    y0: 7,
+    x1: 12,
+    y1: 9,
+    color: "#ff0000",
+    size: 6,
+    id: "g1",
+    author: "anon-abc",
+    t: 1_700_000_000_016,
+    seq: 42,
+    undone: true,
+  },
+  {
+    tool: "spray",
+    x0: 0,
+    y0: 0,
+    x1: 4,
+    y1: 4,
+    color: "#00ff00",
+    size: 12,
+    seed: 99,
+    density: 40,
+  },
+  {
+    tool: "highlighter",
+    x0: 0,
+    y0: 0,
+    x1: 3,
+    y1: 0,
+    color: "#fdd835",
+    size: 20,
+    opacity: 0.5,
+  },
+  { tool: "fill", x: 5, y: -5, color: "#1e88e5", tolerance: 32 },
+  {
+    tool: "rect",
+    x0: 1,
+    y0: 2,
+    x1: 30,
+    y1: 40,
+    color: "#111111",
+    size: 3,
+    filled: true,
+  },
+  { tool: "polygon", pts: [0, 0, 10, 0, 5, 8.5], color: "#8e24aa", size: 2 },
+  {
+    tool: "text",
+    x: 5,
+    y: 6,
+    text: "héllo 🎈",
+    font: 2,
+    color: "#000000",
+    size: 5,
+  },
+];
+
+/** Drop the keys a decoder leaves undefined so toEqual compares values */
+const clean = (s) =>
+  Object.fromEntries(
+    Object.entries(s).filter(([, v]) => v != null && v !== false)
+  );
+
+test("a batch round-trips every tool", () => {
+  const bytes = encodeBatch(strokes.map(quantize));
+  expect(bytes).toBeInstanceOf(ArrayBuffer);
+  const back = decodeBatch(bytes).map(clean);
+  expect(back).toEqual(strokes.map(quantize).map(clean));
+});
+
+test("decodes Node Buffers sliced from a larger pool", () => {
+  const bytes = encodeBatch(strokes.slice(0, 2));
+  const pooled = Buffer.concat([
+    Buffer.alloc(7),
+    Buffer.from(new Uint8Array(bytes)),
+  ]).subarray(7);
+  expect(decodeBatch(pooled).map(clean)).toEqual(decodeBatch(bytes).map(clean));
+});
+
+test("binary is far smaller than JSON", () => {
+  const many = Array.from({ length: 200 }, (_, i) => ({
+    x0: i,
+    y0: i / 2,
+    x1: i + 1,
+    y1: i / 2 + 1,
+    color: "#123456",
+    size: 4,
+    id: "g",
+    author: "anon-x",
+  }));
+  expect(encodeBatch(many).byteLength * 3).toBeLessThan(
+    JSON.stringify(many).length
+  );
+});
+
+test("quantize snaps to the wire grid", () => {
+  const s = quantize({ x0: 0.06, y0: 1, x1: 2.999, y1: 3, pts: [0.01, 0.2] });
+  expect(s.x0 * QUANT).toBe(Math.round(0.06 * QUANT));
+  expect(s.x1).toBe(3);
+  expect(s.pts.map((v) => v * QUANT).every(Number.isInteger)).toBe(true);
+});
+
+test("legacy JSON passes through", () => {
+  const s = { x0: 0, y0: 0, x1: 1, y1: 1, color: "#111111", size: 3 };
+  expect(decodeBatch(s)).toEqual([s]);
+  expect(decodeBatch([s, s])).toEqual([s, s]);
+  expect(decodeBatch(null)).toEqual([]);
+});
+
+test("unknown versions are refused", () => {
+  const bytes = new Uint8Array(encodeBatch(strokes.slice(0, 1)));
+  bytes[0] = 99;
+  expect(() => decodeBatch(bytes)).toThrow(/version 99/);
+});
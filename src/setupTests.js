@@ -0,0 +1,8 @@
+// jsdom (jest 27) lacks TextEncoder/TextDecoder, which the wire protocol and
+// wallet sign-in use; Node has them
+import { TextEncoder, TextDecoder } from "util";
+
+if (typeof global.TextEncoder === "undefined") {
+  global.TextEncoder = TextEncoder;
+  global.TextDecoder = TextDecoder;
+}
@@ -0,0 +1,302 @@
+/** --- 3D sphere mode ---
+ * The flat ball (a disc of radius R in world units) is wrapped onto a unit
+ * sphere with a Lambert azimuthal equal-area mapping: the disc centre sits on
+ * the sphere's front pole and the disc rim collapses onto the back pole.
+ *
+ *   sphere point q (unit) -> theta = acos(q.z), phi = atan2(q.y, q.x)
+ *                         -> world = R * sin(theta / 2) * (cos phi, sin phi)
+ *
+ * Orientation is a 3x3 row-major matrix M taking view-space normals (x right,
+ * y down, z toward the viewer) to sphere-local ones. Strokes are always stored
+ * in world coordinates, so they are shared unchanged with flat mode.
+ */
+
+export const IDENTITY = [1, 0, 0, 0, 1, 0, 0, 0, 1];
+
+export function mul3(a, b) {
+  const out = new Array(9);
+  for (let r = 0; r < 3; r++) {
+    for (let c = 0; c < 3; c++) {
+      out[r * 3 + c] =
+        a[r * 3] * b[c] + a[r * 3 + 1] * b[3 + c] + a[r * 3 + 2] * b[6 + c];
+    }
+  }
+  return out;
+}
+
+function transpose3(m) {
+  return [m[0], m[3], m[6], m[1], m[4], m[7], m[2], m[5], m[8]];
+}
+
+function rotX(a) {
+  const c = Math.cos(a),
+    s = Math.sin(a);
+  return [1, 0, 0, 0, c, -s, 0, s, c];
+}
+
+function rotY(a) {
+  const c = Math.cos(a),
+    s = Math.sin(a);
+  return [c, 0, s, 0, 1, 0, -s, 0, c];
+}
+
+/**
+ * New orientation after dragging by (dx, dy) screen px on a sphere drawn
+ * with `radiusPx`; the surface under the pointer follows it.
+ */
+export function dragRotate(m, dx, dy, radiusPx) {
+  const d = mul3(rotY(dx / radiusPx), rotX(-dy / radiusPx));
+  return mul3(m, transpose3(d));
+}
+
+/**
+ * Ray-cast a point on the sphere's screen disc (u, v in -1..1, y down) and
+ * map the hit back to flat-ball world coordinates. Returns null on a miss.
+ */
+export function sphereToWorld(u, v, m, radius) {
+  const d = u * u + v * v;
+  if (d > 1) return null;
+  const n = [u, v, Math.sqrt(1 - d)];
+  const qx = m[0] * n[0] + m[1] * n[1] + m[2] * n[2];
+  const qy = m[3] * n[0] + m[4] * n[1] + m[5] * n[2];
+  const qz = m[6] * n[0] + m[7] * n[1] + m[8] * n[2];
+  const theta = Math.acos(Math.max(-1, Math.min(1, qz)));
+  const r = Math.sin(theta / 2) * radius;
+  const phi = Math.atan2(qy, qx);
+  return { x: r * Math.cos(phi), y: r * Math.sin(phi) };
+}
+
+const VERT = `
+attribute vec2 aPos;
+varying vec2 vUv;
+void main() {
+  vUv = vec2(aPos.x, -aPos.y);
+  gl_Position = vec4(aPos, 0.0, 1.0);
+}`;
+
+const FRAG = `
+#ifdef GL_FRAGMENT_PRECISION_HIGH
+precision highp float;
+#else
+precision mediump float;
+#endif
+uniform sampler2D uTex;
+uniform mat3 uRot;
+varying vec2 vUv;
+void main() {
+  float d = dot(vUv, vUv);
+  if (d > 1.0) discard;
+  vec3 n = vec3(vUv, sqrt(1.0 - d));
+  vec3 q = uRot * n;
+  float theta = acos(clamp(q.z, -1.0, 1.0));
+  float r = sin(theta * 0.5);
+  float phi = atan(q.y, q.x);
+  vec2 disc = vec2(cos(phi), sin(phi)) * r;
+  vec4 c = texture2D(uTex, disc * 0.5 + 0.5);
+  float light = 0.55 + 0.45 * max(dot(n, normalize(vec3(-0.4, -0.5, 1.0))), 0.0);
+  gl_FragColor = vec4(c.rgb * light, 1.0);
+}`;
+
+function compile(gl, type, src) {
+  const sh = gl.createShader(type);
+  gl.shaderSource(sh, src);
+  gl.compileShader(sh);
+  if (!gl.getShaderParameter(sh, gl.COMPILE_STATUS)) {
+    throw new Error(gl.getShaderInfoLog(sh) || "shader compile failed");
+  }
+  return sh;
+}
+
+function setupGL(gl) {
+  const prog = gl.createProgram();
+  gl.attachShader(prog, compile(gl, gl.VERTEX_SHADER, VERT));
+  gl.attachShader(prog, compile(gl, gl.FRAGMENT_SHADER, FRAG));
+  gl.linkProgram(prog);
+  if (!gl.getProgramParameter(prog, gl.LINK_STATUS)) {
+    throw new Error(gl.getProgramInfoLog(prog) || "program link failed");
+  }
+  const buf = gl.createBuffer();
+  gl.bindBuffer(gl.ARRAY_BUFFER, buf);
+  gl.bufferData(
+    gl.ARRAY_BUFFER,
+    new Float32Array([-1, -1, 1, -1, -1, 1, 1, 1]),
+    gl.STATIC_DRAW
+  );
+  const tex = gl.createTexture();
+  gl.bindTexture(gl.TEXTURE_2D, tex);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+  return {
+    prog,
+    buf,
+    tex,
+    aPos: gl.getAttribLocation(prog, "aPos"),
+    uRot: gl.getUniformLocation(prog, "uRot"),
+    uTex: gl.getUniformLocation(prog, "uTex"),
+  };
+}
+
+/**
+ * Offscreen sphere renderer. Uses WebGL when a context can be had (software
+ * rasterizers included) and falls back to a per-pixel Canvas2D ray-cast,
+ * also while a lost WebGL context waits to be restored (`onRestore` is
+ * called once it is, so the caller can repaint). `render()` returns a canvas
+ * the caller blits onto the main view.
+ */
+export function createSphereRenderer({
+  maxSize = 2048,
+  fallbackSize = 360,
+  onRestore,
+} = {}) {
+  let canvas = document.createElement("canvas");
+  let gl = null,
+    res = null;
+  try {
+    gl =
+      canvas.getContext("webgl", {
+        antialias: false,
+        preserveDrawingBuffer: true,
+        failIfMajorPerformanceCaveat: false,
+      }) || canvas.getContext("experimental-webgl");
+    if (gl) res = setupGL(gl);
+  } catch (err) {
+    console.warn("WebGL sphere unavailable, using 2D fallback", err);
+    gl = null;
+    // a canvas that handed out a webgl context can't give a 2d one
+    canvas = document.createElement("canvas");
+  }
+
+  let uploaded = -1;
+  let sampled = -1;
+  let srcPixels = null;
+  // 2D target: the main canvas without WebGL, a second one while it is lost
+  let canvas2d = gl ? null : canvas;
+  let lost = false;
+
+  function onLost(e) {
+    e.preventDefault(); // lets the browser restore it
+    lost = true;
+  }
+  function onRestored() {
+    try {
+      res = setupGL(gl);
+      uploaded = -1;
+      lost = false;
+      onRestore?.();
+    } catch (err) {
+      console.warn("WebGL sphere not restored, staying on 2D", err);
+    }
+  }
+  if (gl) {
+    canvas.addEventListener("webglcontextlost", onLost);
+    canvas.addEventListener("webglcontextrestored", onRestored);
+  }
+
+  function renderGL(source, version, m, size) {
+    const px = Math.min(maxSize, Math.max(2, Math.round(size)));
+    if (canvas.width !== px) canvas.width = canvas.height = px;
+    gl.viewport(0, 0, px, px);
+    gl.clearColor(0, 0, 0, 0);
+    gl.clear(gl.COLOR_BUFFER_BIT);
+    gl.useProgram(res.prog);
+    gl.activeTexture(gl.TEXTURE0);
+    gl.bindTexture(gl.TEXTURE_2D, res.tex);
+    if (uploaded !== version) {
+      gl.texImage2D(
+        gl.TEXTURE_2D,
+        0,
+        gl.RGBA,
+        gl.RGBA,
+        gl.UNSIGNED_BYTE,
+        source
+      );
+      const pot = (source.width & (source.width - 1)) === 0;
+      if (pot && source.width === source.height) {
+        gl.generateMipmap(gl.TEXTURE_2D);
+        gl.texParameteri(
+          gl.TEXTURE_2D,
+          gl.TEXTURE_MIN_FILTER,
+          gl.LINEAR_MIPMAP_LINEAR
+        );
+      } else {
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+      }
+      uploaded = version;
+    }
+    gl.uniform1i(res.uTex, 0);
+    gl.uniformMatrix3fv(res.uRot, false, new Float32Array(transpose3(m)));
+    gl.bindBuffer(gl.ARRAY_BUFFER, res.buf);
+    gl.enableVertexAttribArray(res.aPos);
+    gl.vertexAttribPointer(res.aPos, 2, gl.FLOAT, false, 0, 0);
+    gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+    return canvas;
+  }
+
+  function render2D(source, version, m, size) {
+    const px = Math.min(fallbackSize, Math.max(2, Math.round(size)));
+    if (!canvas2d) canvas2d = document.createElement("canvas");
+    if (canvas2d.width !== px) canvas2d.width = canvas2d.height = px;
+    if (sampled !== version) {
+      srcPixels = source
+        .getContext("2d")
+        .getImageData(0, 0, source.width, source.height);
+      sampled = version;
+    }
+    const ctx = canvas2d.getContext("2d");
+    const out = ctx.createImageData(px, px);
+    const sw = srcPixels.width,
+      sh = srcPixels.height,
+      sd = srcPixels.data;
+    for (let y = 0; y < px; y++) {
+      const v = ((y + 0.5) / px) * 2 - 1;
+      for (let x = 0; x < px; x++) {
+        const u = ((x + 0.5) / px) * 2 - 1;
+        const w = sphereToWorld(u, v, m, 1);
+        if (!w) continue;
+        const tx = Math.min(sw - 1, Math.floor((w.x * 0.5 + 0.5) * sw));
+        const ty = Math.min(sh - 1, Math.floor((w.y * 0.5 + 0.5) * sh));
+        const si = (ty * sw + tx) * 4;
+        const nz = Math.sqrt(Math.max(0, 1 - u * u - v * v));
+        const light =
+          0.55 + 0.45 * Math.max(0, (-0.4 * u - 0.5 * v + nz) / 1.1874);
+        const oi = (y * px + x) * 4;
+        out.data[oi] = sd[si] * light;
+        out.data[oi + 1] = sd[si + 1] * light;
+        out.data[oi + 2] = sd[si + 2] * light;
+        out.data[oi + 3] = 255;
+      }
+    }
+    ctx.putImageData(out, 0, 0);
+    return canvas2d;
+  }
+
+  return {
+    get kind() {
+      return gl && !lost ? "webgl" : "2d";
+    },
+    /**
+     * @param source  square canvas holding the whole flat ball
+     * @param version bump whenever `source` changed so it is re-uploaded
+     * @param m       orientation matrix (see dragRotate)
+     * @param size    wanted output size in device px
+     */
+    render(source, version, m, size) {
+      return gl && !lost
+        ? renderGL(source, version, m, size)
+        : render2D(source, version, m, size);
+    },
+    dispose() {
+      if (gl) {
+        canvas.removeEventListener("webglcontextlost", onLost);
+        canvas.removeEventListener("webglcontextrestored", onRestored);
+      }
+      if (gl && !lost) {
+        gl.deleteTexture(res.tex);
+        gl.deleteBuffer(res.buf);
+        gl.deleteProgram(res.prog);
+        gl.getExtension("WEBGL_lose_context")?.loseContext();
+      }
+    },
+  };
+}
@@ -0,0 +1,346 @@
+/** --- Stroke geometry + rendering ---
+ * A stroke segment is `{x0,y0,x1,y1,color,size}` in world units. Smoothed
+ * segments add a quadratic control point `cx,cy`; pen input adds endpoint
+ * pressures `p0,p1` (0..1). Segments without those render as straight,
+ * constant-width lines exactly like before.
+ *
+ * `tool` selects how a segment is drawn (missing = "brush"):
+ *   eraser      paints the ball colour back
+ *   highlighter `opacity`, multiply blend, flat caps
+ *   spray       `seed` + `density` dots scattered within `size` of the path
+ *   fill        `{x,y,color,tolerance}` flood fill, see floodFillMask; a
+ *               fill that would spread past its FILL_WINDOW paints nothing
+ *
+ * Shapes are single messages rather than runs of segments:
+ *   line, rect, ellipse   `{x0,y0,x1,y1}` (rect/ellipse fill that box)
+ *   polygon               `pts: [x0, y0, x1, y1, …]`, closed
+ *   text                  `{x, y, text, font}`, top-left anchored
+ * `filled` paints the inside of rect / ellipse / polygon as well.
+ */
+
+export const BALL_COLOR = "#ffffff";
+
+/** Side of the square window a flood fill may spread across (world units) */
+export const FILL_WINDOW = 1024;
+
+export const SHAPE_TOOLS = ["line", "rect", "ellipse", "polygon"];
+
+/** Text tool typefaces; strokes carry the index */
+export const FONTS = [
+  { label: "Sans", css: "ui-sans-serif, system-ui, sans-serif" },
+  { label: "Serif", css: "Georgia, 'Times New Roman', serif" },
+  { label: "Mono", css: "ui-monospace, Menlo, Consolas, monospace" },
+  { label: "Marker", css: "'Comic Sans MS', 'Marker Felt', cursive" },
+];
+export const MAX_TEXT = 120;
+
+/** Text is drawn this many times the brush size, in world px */
+export const TEXT_SCALE = 4;
+
+/** Line width for a pressure sample (null = no pressure data) */
+export function pressureWidth(size, p) {
+  if (p == null) return size;
+  return size * (0.2 + 0.8 * Math.max(0, Math.min(1, p)));
+}
+
+function pointAt(s, t) {
+  if (s.cx == null) {
+    return { x: s.x0 + (s.x1 - s.x0) * t, y: s.y0 + (s.y1 - s.y0) * t };
+  }
+  const u = 1 - t;
+  return {
+    x: u * u * s.x0 + 2 * u * t * s.cx + t * t * s.x1,
+    y: u * u * s.y0 + 2 * u * t * s.cy + t * t * s.y1,
+  };
+}
+
+/** Small deterministic PRNG so every client scatters spray identically */
+function mulberry32(seed) {
+  let a = seed | 0;
+  return () => {
+    a = (a + 0x6d2b79f5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/** Spray dots `{x, y, d}` for a segment, identical on every client */
+export function sprayDots(s) {
+  const size = s.size || 3;
+  const rand = mulberry32(s.seed || 0);
+  const d = Math.max(1, size / 12);
+  const dots = [];
+  for (let i = 0; i < (s.density || 16); i++) {
+    const pt = pointAt(s, rand());
+    const a = rand() * Math.PI * 2;
+    const r = Math.sqrt(rand()) * size;
+    dots.push({ x: pt.x + Math.cos(a) * r, y: pt.y + Math.sin(a) * r, d });
+  }
+  return dots;
+}
+
+function renderSpray(ctx, s) {
+  ctx.fillStyle = s.color || "#111";
+  for (const { x, y, d } of sprayDots(s)) ctx.fillRect(x, y, d, d);
+}
+
+/** Draw one segment; `ctx` must be in world coordinates */
+export function renderStroke(ctx, s) {
+  switch (s.tool) {
+    case "spray":
+      renderSpray(ctx, s);
+      return;
+    case "eraser":
+      renderLine(ctx, { ...s, color: BALL_COLOR });
+      return;
+    case "highlighter":
+      ctx.save();
+      ctx.globalAlpha = s.opacity ?? 0.35;
+      ctx.globalCompositeOperation = "multiply";
+      renderLine(ctx, { ...s, p0: null, p1: null }, "butt");
+      ctx.restore();
+      return;
+    case "text":
+      renderText(ctx, s);
+      return;
+    default:
+      if (SHAPE_TOOLS.includes(s.tool)) renderShape(ctx, s);
+      else renderLine(ctx, s);
+  }
+}
+
+function renderShape(ctx, s) {
+  ctx.save();
+  ctx.strokeStyle = ctx.fillStyle = s.color || "#111";
+  ctx.lineWidth = s.size || 3;
+  ctx.lineCap = ctx.lineJoin = "round";
+  ctx.beginPath();
+  if (s.tool === "polygon") {
+    const p = s.pts || [];
+    ctx.moveTo(p[0], p[1]);
+    for (let i = 2; i + 1 < p.length; i += 2) ctx.lineTo(p[i], p[i + 1]);
+    ctx.closePath();
+  } else if (s.tool === "line") {
+    ctx.moveTo(s.x0, s.y0);
+    ctx.lineTo(s.x1, s.y1);
+  } else {
+    const x = Math.min(s.x0, s.x1),
+      y = Math.min(s.y0, s.y1);
+    const w = Math.abs(s.x1 - s.x0),
+      h = Math.abs(s.y1 - s.y0);
+    if (s.tool === "rect") ctx.rect(x, y, w, h);
+    else ctx.ellipse(x + w / 2, y + h / 2, w / 2, h / 2, 0, 0, Math.PI * 2);
+  }
+  if (s.filled && s.tool !== "line") ctx.fill();
+  ctx.stroke();
+  ctx.restore();
+}
+
+export function textFont(s) {
+  const px = (s.size || 3) * TEXT_SCALE;
+  return `${px}px ${(FONTS[s.font] || FONTS[0]).css}`;
+}
+
+function renderText(ctx, s) {
+  ctx.save();
+  ctx.font = textFont(s);
+  ctx.textBaseline = "top";
+  ctx.fillStyle = s.color || "#111";
+  ctx.fillText(String(s.text || "").slice(0, MAX_TEXT), s.x, s.y);
+  ctx.restore();
+}
+
+/** Box of a polygon or text stroke (text width is a generous estimate) */
+function shapeBox(s) {
+  if (s.tool === "text") {
+    const px = (s.size || 3) * TEXT_SCALE;
+    const w = String(s.text || "").length * px * 0.75 + px;
+    return { x: s.x - 2, y: s.y - 2, w: w + 4, h: px * 1.4 + 4 };
+  }
+  const p = s.pts || [];
+  const xs = p.filter((_, i) => i % 2 === 0);
+  const ys = p.filter((_, i) => i % 2 === 1);
+  const r = (s.size || 3) / 2 + 1;
+  const x = Math.min(...xs) - r,
+    y = Math.min(...ys) - r;
+  return { x, y, w: Math.max(...xs) + r - x, h: Math.max(...ys) + r - y };
+}
+
+function renderLine(ctx, s, cap = "round") {
+  const size = s.size || 3;
+  ctx.strokeStyle = s.color || "#111";
+  ctx.lineCap = cap;
+  ctx.lineJoin = "round";
+
+  if (s.p0 == null || s.p1 == null) {
+    ctx.beginPath();
+    ctx.moveTo(s.x0, s.y0);
+    if (s.cx != null) ctx.quadraticCurveTo(s.cx, s.cy, s.x1, s.y1);
+    else ctx.lineTo(s.x1, s.y1);
+    ctx.lineWidth = size;
+    ctx.stroke();
+    return;
+  }
+
+  // variable width: walk the curve in short pieces, interpolating pressure
+  const len =
+    s.cx == null
+      ? Math.hypot(s.x1 - s.x0, s.y1 - s.y0)
+      : Math.hypot(s.cx - s.x0, s.cy - s.y0) +
+        Math.hypot(s.x1 - s.cx, s.y1 - s.cy);
+  const n = Math.max(1, Math.min(32, Math.ceil(len / 2)));
+  let prev = { x: s.x0, y: s.y0 };
+  for (let i = 1; i <= n; i++) {
+    const t = i / n;
+    const pt = pointAt(s, t);
+    ctx.beginPath();
+    ctx.moveTo(prev.x, prev.y);
+    ctx.lineTo(pt.x, pt.y);
+    ctx.lineWidth = pressureWidth(size, s.p0 + (s.p1 - s.p0) * t);
+    ctx.stroke();
+    prev = pt;
+  }
+}
+
+/** World rect a fill at (x, y) may touch */
+export function fillWindow(s) {
+  return {
+    x: Math.floor(s.x - FILL_WINDOW / 2),
+    y: Math.floor(s.y - FILL_WINDOW / 2),
+    w: FILL_WINDOW,
+    h: FILL_WINDOW,
+  };
+}
+
+/** World-space bounds of a list of segments, padded by line width */
+export function strokesBounds(list) {
+  let minX = Infinity,
+    minY = Infinity,
+    maxX = -Infinity,
+    maxY = -Infinity;
+  for (const s of list) {
+    if (s.tool === "fill" || s.tool === "text" || s.tool === "polygon") {
+      const w = s.tool === "fill" ? fillWindow(s) : shapeBox(s);
+      minX = Math.min(minX, w.x);
+      minY = Math.min(minY, w.y);
+      maxX = Math.max(maxX, w.x + w.w);
+      maxY = Math.max(maxY, w.y + w.h);
+      continue;
+    }
+    const size = s.size || 3;
+    const r = (s.tool === "spray" ? size : size / 2) + 1;
+    const xs = s.cx == null ? [s.x0, s.x1] : [s.x0, s.x1, s.cx];
+    const ys = s.cy == null ? [s.y0, s.y1] : [s.y0, s.y1, s.cy];
+    minX = Math.min(minX, Math.min(...xs) - r);
+    minY = Math.min(minY, Math.min(...ys) - r);
+    maxX = Math.max(maxX, Math.max(...xs) + r);
+    maxY = Math.max(maxY, Math.max(...ys) + r);
+  }
+  if (minX > maxX) return null;
+  return { x: minX, y: minY, w: maxX - minX, h: maxY - minY };
+}
+
+export function rectsOverlap(a, b) {
+  return (
+    a.x < b.x + b.w && b.x < a.x + a.w && a.y < b.y + b.h && b.y < a.y + a.h
+  );
+}
+
+function parseHex(color) {
+  const m = /^#?([0-9a-f]{6})$/i.exec(color || "");
+  const n = m ? parseInt(m[1], 16) : 0x111111;
+  return [(n >> 16) & 255, (n >> 8) & 255, n & 255];
+}
+
+/**
+ * Scanline flood fill over `source` (a canvas) starting at pixel (sx, sy).
+ * Returns a same-sized canvas holding only the filled pixels in `color`, or
+ * null when the seed is outside / already that colour, or when the fill
+ * reaches the edge of `source` (cutting it there would leave a hard square
+ * that depends on how far each client's buffer happens to reach).
+ */
+export function floodFillMask(source, sx, sy, color, tolerance = 32) {
+  const w = source.width,
+    h = source.height;
+  sx = Math.floor(sx);
+  sy = Math.floor(sy);
+  if (sx < 0 || sy < 0 || sx >= w || sy >= h) return null;
+
+  const src = source.getContext("2d").getImageData(0, 0, w, h).data;
+  const at = (sy * w + sx) * 4;
+  const target = [src[at], src[at + 1], src[at + 2], src[at + 3]];
+  const [r, g, b] = parseHex(color);
+  if (target[3] === 0) return null; // outside the ball
+  if (target[0] === r && target[1] === g && target[2] === b) return null;
+
+  const matches = (i) =>
+    Math.abs(src[i] - target[0]) <= tolerance &&
+    Math.abs(src[i + 1] - target[1]) <= tolerance &&
+    Math.abs(src[i + 2] - target[2]) <= tolerance &&
+    Math.abs(src[i + 3] - target[3]) <= tolerance;
+
+  const seen = new Uint8Array(w * h);
+  const out = new ImageData(w, h);
+  const stack = [sx, sy];
+  while (stack.length) {
+    const y = stack.pop();
+    let x = stack.pop();
+    while (x > 0 && !seen[y * w + x - 1] && matches((y * w + x - 1) * 4)) x--;
+    let up = false,
+      down = false;
+    for (; x < w; x++) {
+      const p = y * w + x;
+      if (seen[p] || !matches(p * 4)) break;
+      if (x === 0 || y === 0 || x === w - 1 || y === h - 1) return null;
+      seen[p] = 1;
+      out.data[p * 4] = r;
+      out.data[p * 4 + 1] = g;
+      out.data[p * 4 + 2] = b;
+      out.data[p * 4 + 3] = 255;
+      if (y > 0) {
+        const open = !seen[p - w] && matches((p - w) * 4);
+        if (open && !up) stack.push(x, y - 1);
+        up = open;
+      }
+      if (y < h - 1) {
+        const open = !seen[p + w] && matches((p + w) * 4);
+        if (open && !down) stack.push(x, y + 1);
+        down = open;
+      }
+    }
+  }
+
+  const mask = document.createElement("canvas");
+  mask.width = w;
+  mask.height = h;
+  mask.getContext("2d").putImageData(out, 0, 0);
+  return mask;
+}
+
+/** Fill mask for `s` against what `tiles` hold now; null if it paints nothing */
+export function fillMask(tiles, s, radius) {
+  const rect = fillWindow(s);
+  const src = tiles.snapshot(rect);
+  const sctx = src.getContext("2d");
+  sctx.globalCompositeOperation = "destination-over";
+  sctx.setTransform(1, 0, 0, 1, -rect.x, -rect.y);
+  sctx.beginPath();
+  sctx.arc(0, 0, radius, 0, Math.PI * 2);
+  sctx.fillStyle = BALL_COLOR;
+  sctx.fill();
+  return floodFillMask(src, s.x - rect.x, s.y - rect.y, s.color, s.tolerance);
+}
+
+function paintFill(tiles, s, radius, clip) {
+  const mask = fillMask(tiles, s, radius);
+  if (!mask) return;
+  const rect = fillWindow(s);
+  tiles.paint(rect, (bctx) => bctx.drawImage(mask, rect.x, rect.y), clip);
+}
+
+/** Paint one stroke (or fill) into a tile store, optionally clipped */
+export function paintStroke(tiles, s, radius, clip) {
+  if (s.tool === "fill") paintFill(tiles, s, radius, clip);
+  else tiles.paint(strokesBounds([s]), (ctx) => renderStroke(ctx, s), clip);
+}
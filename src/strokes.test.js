@@ -0,0 +1,154 @@
+import {
+  renderStroke,
+  sprayDots,
+  strokesBounds,
+  textFont,
+  pressureWidth,
+  BALL_COLOR,
+  FONTS,
+  TEXT_SCALE,
+} from "./strokes";
+
+/** 2D context stand-in that records calls and style at each draw */
+function recorder() {
+  const calls = [];
+  const state = { stack: [] };
+  const ctx = new Proxy(state, {
+    get(target, prop) {
+      if (prop in target && prop !== "stack") return target[prop];
+      if (prop === "calls") return calls;
+      return (...args) => {
+        if (prop === "save") target.stack.push({ ...target });
+        if (prop === "restore") Object.assign(target, target.stack.pop());
+        calls.push({
+          fn: prop,
+          args,
+          strokeStyle: target.strokeStyle,
+          fillStyle: target.fillStyle,
+          lineWidth: target.lineWidth,
+        });
+      };
+    },
+    set(target, prop, value) {
+      target[prop] = value;
+      return true;
+    },
+  });
+  return ctx;
+}
+const names = (ctx) => ctx.calls.map((c) => c.fn);
+
+test("a brush segment is one stroked path", () => {
+  const ctx = recorder();
+  renderStroke(ctx, { x0: 0, y0: 0, x1: 10, y1: 5, color: "#ff0000", size: 6 });
+  expect(names(ctx)).toEqual(["beginPath", "moveTo", "lineTo", "stroke"]);
+  expect(ctx.calls[3]).toMatchObject({ strokeStyle: "#ff0000", lineWidth: 6 });
+});
+
+test("curves use the control point", () => {
+  const ctx = recorder();
+  renderStroke(ctx, { x0: 0, y0: 0, cx: 5, cy: 9, x1: 10, y1: 0, size: 2 });
+  const q = ctx.calls.find((c) => c.fn === "quadraticCurveTo");
+  expect(q.args).toEqual([5, 9, 10, 0]);
+});
+
+test("pressure segments taper between p0 and p1", () => {
+  const ctx = recorder();
+  renderStroke(ctx, { x0: 0, y0: 0, x1: 40, y1: 0, size: 10, p0: 0, p1: 1 });
+  const widths = ctx.calls
+    .filter((c) => c.fn === "stroke")
+    .map((c) => c.lineWidth);
+  expect(widths.length).toBeGreaterThan(1);
+  expect(widths[0]).toBeLessThan(widths[widths.length - 1]);
+  expect(widths[widths.length - 1]).toBe(pressureWidth(10, 1));
+});
+
+test("the eraser paints the ball colour", () => {
+  const ctx = recorder();
+  renderStroke(ctx, { tool: "eraser", x0: 0, y0: 0, x1: 1, y1: 1, size: 4 });
+  expect(ctx.calls.find((c) => c.fn === "stroke").strokeStyle).toBe(BALL_COLOR);
+});
+
+test("spray dots are the same on every client", () => {
+  const s = {
+    tool: "spray",
+    x0: 0,
+    y0: 0,
+    x1: 20,
+    y1: 0,
+    size: 8,
+    seed: 42,
+    density: 30,
+  };
+  expect(sprayDots(s)).toEqual(sprayDots({ ...s }));
+  expect(sprayDots(s)).toHaveLength(30);
+  expect(sprayDots({ ...s, seed: 43 })).not.toEqual(sprayDots(s));
+});
+
+describe("shapes", () => {
+  test("filled rect fills then strokes the normalised box", () => {
+    const ctx = recorder();
+    renderStroke(ctx, {
+      tool: "rect",
+      x0: 30,
+      y0: 40,
+      x1: 10,
+      y1: 0,
+      size: 2,
+      color: "#00ff00",
+      filled: true,
+    });
+    expect(ctx.calls.find((c) => c.fn === "rect").args).toEqual([
+      10, 0, 20, 40,
+    ]);
+    const fill = names(ctx).indexOf("fill");
+    expect(fill).toBeGreaterThan(-1);
+    expect(fill).toBeLessThan(names(ctx).indexOf("stroke"));
+  });
+
+  test("an outline ellipse is not filled", () => {
+    const ctx = recorder();
+    renderStroke(ctx, {
+      tool: "ellipse",
+      x0: 0,
+      y0: 0,
+      x1: 20,
+      y1: 10,
+      size: 2,
+    });
+    expect(ctx.calls.find((c) => c.fn === "ellipse").args.slice(0, 4)).toEqual([
+      10, 5, 10, 5,
+    ]);
+    expect(names(ctx)).not.toContain("fill");
+  });
+
+  test("polygons close their path", () => {
+    const ctx = recorder();
+    renderStroke(ctx, { tool: "polygon", pts: [0, 0, 10, 0, 5, 8], size: 1 });
+    expect(names(ctx).filter((n) => n === "lineTo")).toHaveLength(2);
+    expect(names(ctx)).toContain("closePath");
+  });
+
+  test("text uses the chosen font at TEXT_SCALE", () => {
+    const s = { tool: "text", x: 3, y: 4, text: "gm", font: 1, size: 5 };
+    const ctx = recorder();
+    renderStroke(ctx, s);
+    expect(ctx.calls.find((c) => c.fn === "fillText").args).toEqual([
+      "gm",
+      3,
+      4,
+    ]);
+    expect(textFont(s)).toBe(`${5 * TEXT_SCALE}px ${FONTS[1].css}`);
+  });
+});
+
+test("strokesBounds pads by the line width", () => {
+  const b = strokesBounds([
+    { x0: 0, y0: 0, x1: 10, y1: 0, size: 4 },
+    { tool: "polygon", pts: [20, 20, 30, 20, 25, 30], size: 2 },
+  ]);
+  expect(b.x).toBeLessThan(0);
+  expect(b.y).toBeLessThan(0);
+  expect(b.x + b.w).toBeGreaterThan(30);
+  expect(b.y + b.h).toBeGreaterThan(30);
+});
@@ -0,0 +1,132 @@
+/** --- History sync ---
+ * Server -> client stroke flow for one room:
+ *
+ *   init              legacy: the whole history as one JSON array
+ *   init:begin        { total, since? }  (with `since`: a catch-up range on
+ *                     top of what the client already has)
+ *   init:chunk        binary batch (protocol.js)
+ *   init:end
+ *   draw, draw:batch  live strokes, binary batch or legacy JSON
+ *
+ * and client -> server `sync { since }` to ask for a missed range. Strokes
+ * carry the server `seq`; one at or below the last applied is a duplicate.
+ * Live strokes that arrive while a range is loading are held back and applied
+ * after it, so they never land under older ink.
+ */
+
+import { decodeBatch } from "./protocol";
+
+export const SYNC_TIMEOUT = 5000; // ms to wait for a sync's init:begin
+
+/**
+ * @param socket socket.io client
+ * @param {{ apply(s), onReset?(), onLoading?(progress | null) }} hooks
+ *   apply: draw + record one new stroke; onReset: drop the local history
+ *   (a full one follows); onLoading: { done, total } while a range streams
+ */
+export function createHistorySync(socket, { apply, onReset, onLoading }) {
+  let lastSeq = 0;
+  let catchingUp = false;
+  let held = [];
+  let timer = null;
+  let progress = null;
+
+  function take(s) {
+    if (s.seq != null) {
+      if (s.seq <= lastSeq) return;
+      lastSeq = s.seq;
+    }
+    apply(s);
+  }
+
+  function reset() {
+    lastSeq = 0;
+    onReset?.();
+  }
+
+  function release() {
+    clearTimeout(timer);
+    catchingUp = false;
+    const list = held;
+    held = [];
+    for (const s of list) take(s);
+  }
+
+  // if the server never answers with init:begin, stop holding live strokes
+  function requestSync(since) {
+    catchingUp = true;
+    socket.emit("sync", { since });
+    clearTimeout(timer);
+    timer = setTimeout(release, SYNC_TIMEOUT);
+  }
+
+  function decode(data, what) {
+    try {
+      return decodeBatch(data);
+    } catch (err) {
+      console.error(`bad ${what}`, err);
+      return [];
+    }
+  }
+
+  const handlers = {
+    init(history) {
+      reset();
+      if (Array.isArray(history)) for (const s of history) take(s);
+      release();
+    },
+    "init:begin"(meta) {
+      clearTimeout(timer);
+      catchingUp = true;
+      if (meta?.since == null) reset();
+      progress = { done: 0, total: meta?.total || 0 };
+      onLoading?.(progress);
+    },
+    "init:chunk"(data) {
+      const list = decode(data, "init chunk");
+      for (const s of list) take(s);
+      if (progress) {
+        progress = { ...progress, done: progress.done + list.length };
+        onLoading?.(progress);
+      }
+    },
+    "init:end"() {
+      progress = null;
+      onLoading?.(null);
+      release();
+    },
+    draw: live,
+    "draw:batch": live,
+  };
+  function live(data) {
+    for (const s of decode(data, "stroke batch")) {
+      if (catchingUp) held.push(s);
+      else take(s);
+    }
+  }
+  for (const [event, fn] of Object.entries(handlers)) socket.on(event, fn);
+
+  return {
+    /** highest server seq applied */
+    get lastSeq() {
+      return lastSeq;
+    },
+    set lastSeq(v) {
+      lastSeq = v;
+    },
+    get catchingUp() {
+      return catchingUp;
+    },
+    /** hold live strokes until release() (e.g. while a snapshot loads) */
+    hold() {
+      catchingUp = true;
+    },
+    release,
+    requestSync,
+    detach() {
+      clearTimeout(timer);
+      held = [];
+      for (const [event, fn] of Object.entries(handlers)) socket.off(event, fn);
+    },
+  };
+}
@@ -0,0 +1,138 @@
+/**
+ * @jest-environment node
+ */
+import { EventEmitter } from "events";
+import { createHistorySync, SYNC_TIMEOUT } from "./sync";
+import { encodeBatch, decodeBatch } from "./protocol";
+import { startSocketServer, nextEvent } from "./testing/socketServer";
+
+const stroke = (seq, extra) => ({
+  x0: seq,
+  y0: 0,
+  x1: seq + 1,
+  y1: 1,
+  color: "#111111",
+  size: 3,
+  id: `g${seq}`,
+  author: "anon-test",
+  seq,
+  ...extra,
+});
+
+/** History sync on a fresh client, recording what it applies */
+function track(client) {
+  const log = { applied: [], resets: 0, loading: [] };
+  log.sync = createHistorySync(client, {
+    apply: (s) => log.applied.push(s.seq),
+    onReset: () => log.resets++,
+    onLoading: (p) => log.loading.push(p),
+  });
+  return log;
+}
+
+describe("over an in-process socket.io server", () => {
+  let srv, client, peer, log;
+  beforeAll(async () => {
+    srv = await startSocketServer();
+  });
+  afterAll(() => srv.close());
+  beforeEach(async () => {
+    ({ client, peer } = await srv.connect());
+    log = track(client);
+  });
+  afterEach(() => {
+    log.sync.detach();
+    client.disconnect();
+  });
+
+  // the server's events arrive in order, so a trailing marker means "all in"
+  const flush = () => {
+    peer.emit("test:done");
+    return nextEvent(client, "test:done");
+  };
+
+  test("streams the history and holds live ink until init:end", async () => {
+    peer.emit("init:begin", { total: 3 });
+    peer.emit("init:chunk", encodeBatch([stroke(1), stroke(2)]));
+    peer.emit("draw:batch", encodeBatch([stroke(4)])); // live, arrives early
+    peer.emit("init:chunk", encodeBatch([stroke(3)]));
+    await flush();
+    expect(log.applied).toEqual([1, 2, 3]);
+    expect(log.sync.catchingUp).toBe(true);
+
+    peer.emit("init:end");
+    await flush();
+    expect(log.applied).toEqual([1, 2, 3, 4]);
+    expect(log.resets).toBe(1);
+    expect(log.loading).toEqual([
+      { done: 0, total: 3 },
+      { done: 2, total: 3 },
+      { done: 3, total: 3 },
+      null,
+    ]);
+    expect(log.sync.lastSeq).toBe(4);
+  });
+
+  test("drops strokes at or below the last seq", async () => {
+    peer.emit("init", [stroke(1), stroke(2)]);
+    peer.emit("draw:batch", encodeBatch([stroke(2), stroke(1), stroke(3)]));
+    peer.emit("draw", stroke(3)); // legacy JSON echo
+    await flush();
+    expect(log.applied).toEqual([1, 2, 3]);
+  });
+
+  test("a catch-up sync asks for the gap and keeps the history", async () => {
+    peer.emit("init", [stroke(1), stroke(2)]);
+    await flush();
+    peer.on("sync", ({ since }) => {
+      peer.emit("init:begin", { total: 2, since });
+      peer.emit("init:chunk", encodeBatch([stroke(3), stroke(4)]));
+      peer.emit("init:end");
+    });
+    const asked = nextEvent(peer, "sync");
+    log.sync.requestSync(log.sync.lastSeq);
+    expect(await asked).toEqual({ since: 2 });
+    await flush();
+    expect(log.applied).toEqual([1, 2, 3, 4]);
+    expect(log.resets).toBe(1); // only the first init
+  });
+
+  test("client batches reach the server intact", async () => {
+    const sent = [stroke(7, { tool: "rect", filled: true })];
+    const got = nextEvent(peer, "draw:batch");
+    client.emit("draw:batch", encodeBatch(sent));
+    const back = decodeBatch(await got);
+    expect(back[0]).toMatchObject({ tool: "rect", x0: 7, y1: 1, filled: true });
+  });
+
+  test("detach stops listening", async () => {
+    log.sync.detach();
+    peer.emit("draw:batch", encodeBatch([stroke(1)]));
+    await flush();
+    expect(log.applied).toEqual([]);
+  });
+});
+
+describe("when the server never answers a sync", () => {
+  beforeEach(() => jest.useFakeTimers());
+  afterEach(() => jest.useRealTimers());
+
+  test("held strokes are released after SYNC_TIMEOUT", () => {
+    const socket = new EventEmitter();
+    socket.off = socket.removeListener;
+    const sent = [];
+    const emit = socket.emit.bind(socket);
+    socket.emit = (event, payload) =>
+      event === "sync" ? sent.push(payload) : emit(event, payload);
+    const log = track(socket);
+
+    log.sync.requestSync(5);
+    socket.emit("draw", stroke(6));
+    expect(sent).toEqual([{ since: 5 }]);
+    expect(log.applied).toEqual([]);
+
+    jest.advanceTimersByTime(SYNC_TIMEOUT);
+    expect(log.applied).toEqual([6]);
+    expect(log.sync.catchingUp).toBe(false);
+  });
+});
@@ -0,0 +1,55 @@
+/** --- Fake injected wallet ---
+ * Phantom-style `window.solana` for tests. `emit` fires provider events the
+ * way the extension would (account switches, disconnects).
+ */
+
+export const FAKE_ADDRESS = "FakeWa11et1111111111111111111111111111111111";
+
+export function fakeSolana({
+  address = FAKE_ADDRESS,
+  isPhantom = true,
+  rejectConnect = false,
+} = {}) {
+  const listeners = new Map();
+  const key = (a) => ({ toBase58: () => a, toString: () => a });
+
+  const provider = {
+    isPhantom,
+    publicKey: null,
+    signed: [],
+
+    async connect() {
+      if (rejectConnect) throw new Error("User rejected the request.");
+      provider.publicKey = key(address);
+      return { publicKey: provider.publicKey };
+    },
+    async disconnect() {
+      provider.publicKey = null;
+      provider.emit("disconnect");
+    },
+    async signMessage(bytes) {
+      provider.signed.push(new TextDecoder().decode(bytes));
+      // not a real signature: the message bytes reversed
+      return { signature: Uint8Array.from(bytes).reverse() };
+    },
+
+    on(event, fn) {
+      if (!listeners.has(event)) listeners.set(event, new Set());
+      listeners.get(event).add(fn);
+    },
+    off(event, fn) {
+      listeners.get(event)?.delete(fn);
+    },
+    emit(event, arg) {
+      if (event === "accountChanged") {
+        provider.publicKey = arg ? key(arg) : null;
+        arg = provider.publicKey;
+      }
+      for (const fn of listeners.get(event) || []) fn(arg);
+    },
+    listenerCount(event) {
+      return listeners.get(event)?.size || 0;
+    },
+  };
+  return provider;
+}
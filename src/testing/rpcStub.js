@@ -0,0 +1,50 @@
+/** --- Stubbed Solana JSON-RPC ---
+ * Replaces `fetch` with an in-memory endpoint so rpcCall / fetchHoldings run
+ * offline. `balances` maps owner -> mint -> ui amount; URLs listed in `down`
+ * answer HTTP 503. Every request is recorded in `calls`.
+ */
+
+export function stubRpc({ balances = {}, down = [] } = {}) {
+  const calls = [];
+  const original = global.fetch;
+
+  const methods = {
+    getTokenAccountsByOwner([owner, { mint }]) {
+      const amount = balances[owner]?.[mint];
+      if (amount == null) return { value: [] };
+      // split across two accounts, as wallets often hold several
+      const half = amount / 2;
+      return {
+        value: [half, amount - half].map((uiAmount) => ({
+          account: {
+            data: {
+              parsed: { info: { mint, owner, tokenAmount: { uiAmount } } },
+            },
+          },
+        })),
+      };
+    },
+  };
+
+  global.fetch = async (url, init = {}) => {
+    const req = JSON.parse(init.body);
+    calls.push({ url, method: req.method, params: req.params });
+    if (down.includes(url)) return { ok: false, status: 503 };
+    const fn = methods[req.method];
+    const json = fn
+      ? { jsonrpc: "2.0", id: req.id, result: fn(req.params) }
+      : {
+          jsonrpc: "2.0",
+          id: req.id,
+          error: { code: -32601, message: "Method not found" },
+        };
+    return { ok: true, status: 200, json: async () => json };
+  };
+
+  return {
+    calls,
+    restore() {
+      global.fetch = original;
+    },
+  };
+}
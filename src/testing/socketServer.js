@@ -0,0 +1,45 @@
+/** --- In-process socket.io server ---
+ * Listens on a random localhost port; `connect()` opens a client socket to it
+ * and resolves once both ends are connected. Nothing leaves the machine.
+ */
+
+import { createServer } from "http";
+import { Server } from "socket.io";
+import { io as connectClient } from "socket.io-client";
+
+export async function startSocketServer() {
+  const http = createServer();
+  const server = new Server(http);
+  await new Promise((resolve) => http.listen(0, "127.0.0.1", resolve));
+  const url = `http://127.0.0.1:${http.address().port}`;
+  const clients = [];
+
+  return {
+    server,
+    url,
+    /** -> { client, peer } (client socket, and the server's side of it) */
+    async connect(opts = {}) {
+      const peer = new Promise((resolve) => server.once("connection", resolve));
+      const client = connectClient(url, {
+        transports: ["websocket"],
+        reconnection: false,
+        ...opts,
+      });
+      clients.push(client);
+      await new Promise((resolve, reject) => {
+        client.once("connect", resolve);
+        client.once("connect_error", reject);
+      });
+      return { client, peer: await peer };
+    },
+    async close() {
+      for (const c of clients) c.disconnect();
+      await new Promise((resolve) => server.close(resolve));
+    },
+  };
+}
+
+/** Resolve on the next `event` (with its first argument) */
+export function nextEvent(emitter, event) {
+  return new Promise((resolve) => emitter.once(event, resolve));
+}
@@ -0,0 +1,196 @@
+/** --- Tiled world buffer ---
+ * The world is split into square tiles that only get a canvas once something
+ * is drawn on them. Base tiles (level 0) are 1 world unit per pixel; each
+ * higher level halves the resolution so zoomed-out views blit a handful of
+ * small canvases instead of every full-size tile.
+ */
+
+export const TILE_SIZE = 512;
+export const MAX_LEVEL = 6;
+
+function makeCanvas(w, h = w) {
+  const c = document.createElement("canvas");
+  c.width = w;
+  c.height = h;
+  return c;
+}
+
+function key(x, y) {
+  return x + "," + y;
+}
+
+/** Pick the pyramid level for a given on-screen pixels-per-world-unit ratio */
+export function levelForScale(pxPerUnit) {
+  if (!(pxPerUnit > 0)) return MAX_LEVEL;
+  const l = Math.floor(Math.log2(1 / pxPerUnit));
+  return Math.max(0, Math.min(MAX_LEVEL, l));
+}
+
+/**
+ * @param {{ radius: number, tileSize?: number }} opts
+ *   radius: world-space ball radius; tiles entirely outside it are never made.
+ */
+export function createTileStore({ radius, tileSize = TILE_SIZE }) {
+  // levels[0] holds drawable base tiles; levels[n] holds cached downsamples
+  let levels = [];
+  // bumped on every change so consumers can cache derived images
+  let version = 0;
+  const reset = () => {
+    version++;
+    levels = [];
+    for (let l = 0; l <= MAX_LEVEL; l++) levels.push(new Map());
+  };
+  reset();
+
+  function tileTouchesBall(tx, ty) {
+    const x0 = tx * tileSize,
+      y0 = ty * tileSize;
+    const cx = Math.max(x0, Math.min(0, x0 + tileSize));
+    const cy = Math.max(y0, Math.min(0, y0 + tileSize));
+    return cx * cx + cy * cy <= radius * radius;
+  }
+
+  function markDirty(tx, ty) {
+    for (let l = 1; l <= MAX_LEVEL; l++) {
+      const k = key(tx >> l, ty >> l);
+      const t = levels[l].get(k);
+      if (t) t.dirty = true;
+      else levels[l].set(k, { canvas: null, dirty: true });
+    }
+  }
+
+  function baseTile(tx, ty, create) {
+    const k = key(tx, ty);
+    let t = levels[0].get(k);
+    if (!t && create) {
+      const canvas = makeCanvas(tileSize);
+      t = { canvas, ctx: canvas.getContext("2d") };
+      levels[0].set(k, t);
+    }
+    return t || null;
+  }
+
+  /** Visit base tile coords overlapping a world rect */
+  function eachTileIn(rect, fn) {
+    const tx0 = Math.floor(rect.x / tileSize);
+    const ty0 = Math.floor(rect.y / tileSize);
+    const tx1 = Math.floor((rect.x + rect.w) / tileSize);
+    const ty1 = Math.floor((rect.y + rect.h) / tileSize);
+    for (let ty = ty0; ty <= ty1; ty++) {
+      for (let tx = tx0; tx <= tx1; tx++) fn(tx, ty);
+    }
+  }
+
+  /**
+   * Run `drawFn(ctx)` in world coordinates on every tile under `rect`,
+   * creating tiles as needed. Optional `clip` limits drawing to a world rect,
+   * or is called as `clip(ctx)` to set up any clip path in world coordinates.
+   */
+  function paint(rect, drawFn, clip) {
+    if (!rect) return;
+    eachTileIn(rect, (tx, ty) => {
+      if (!tileTouchesBall(tx, ty)) return;
+      const t = baseTile(tx, ty, true);
+      const ctx = t.ctx;
+      ctx.save();
+      ctx.setTransform(1, 0, 0, 1, -tx * tileSize, -ty * tileSize);
+      if (typeof clip === "function") {
+        clip(ctx);
+      } else if (clip) {
+        ctx.beginPath();
+        ctx.rect(clip.x, clip.y, clip.w, clip.h);
+        ctx.clip();
+      }
+      drawFn(ctx);
+      ctx.restore();
+      markDirty(tx, ty);
+    });
+    version++;
+  }
+
+  /** Erase a world rect back to transparent on existing tiles */
+  function clear(rect) {
+    eachTileIn(rect, (tx, ty) => {
+      const t = baseTile(tx, ty, false);
+      if (!t) return;
+      t.ctx.save();
+      t.ctx.setTransform(1, 0, 0, 1, -tx * tileSize, -ty * tileSize);
+      t.ctx.clearRect(rect.x, rect.y, rect.w, rect.h);
+      t.ctx.restore();
+      markDirty(tx, ty);
+    });
+    version++;
+  }
+
+  /** Copy base tiles under a world rect into a new 1:1 canvas */
+  function snapshot(rect) {
+    const c = makeCanvas(Math.ceil(rect.w), Math.ceil(rect.h));
+    const ctx = c.getContext("2d");
+    eachTileIn(rect, (tx, ty) => {
+      const t = baseTile(tx, ty, false);
+      if (t) {
+        ctx.drawImage(t.canvas, tx * tileSize - rect.x, ty * tileSize - rect.y);
+      }
+    });
+    return c;
+  }
+
+  /** Canvas for a tile at `level`, rebuilding downsamples lazily */
+  function levelTile(level, x, y) {
+    if (level === 0) return baseTile(x, y, false)?.canvas || null;
+    const t = levels[level].get(key(x, y));
+    if (!t) return null;
+    if (!t.dirty) return t.canvas;
+
+    if (!t.canvas) t.canvas = makeCanvas(tileSize);
+    const ctx = t.canvas.getContext("2d");
+    ctx.clearRect(0, 0, tileSize, tileSize);
+    const half = tileSize / 2;
+    for (let dy = 0; dy < 2; dy++) {
+      for (let dx = 0; dx < 2; dx++) {
+        const child = levelTile(level - 1, x * 2 + dx, y * 2 + dy);
+        if (child) ctx.drawImage(child, dx * half, dy * half, half, half);
+      }
+    }
+    t.dirty = false;
+    return t.canvas;
+  }
+
+  /**
+   * Blit tiles covering the world-space `view` rect into `ctx`, which must
+   * already carry the world transform.
+   */
+  function draw(ctx, view, pxPerUnit) {
+    const level = levelForScale(pxPerUnit);
+    const span = tileSize * (1 << level);
+    const x0 = Math.floor(view.x / span);
+    const y0 = Math.floor(view.y / span);
+    const x1 = Math.floor((view.x + view.w) / span);
+    const y1 = Math.floor((view.y + view.h) / span);
+    let drawn = 0;
+    for (let y = y0; y <= y1; y++) {
+      for (let x = x0; x <= x1; x++) {
+        const c = levelTile(level, x, y);
+        if (!c) continue;
+        ctx.drawImage(c, x * span, y * span, span, span);
+        drawn++;
+      }
+    }
+    return drawn;
+  }
+
+  return {
+    tileSize,
+    paint,
+    clear,
+    snapshot,
+    draw,
+    reset,
+    get count() {
+      return levels[0].size;
+    },
+    get version() {
+      return version;
+    },
+  };
+}
@@ -0,0 +1,146 @@
+/** --- Timelapse ---
+ * Replays a stroke history into its own tile store so the live buffer is
+ * left alone. Playback time is the strokes' `t` stamps with idle stretches
+ * squeezed to MAX_GAP; strokes without a stamp (older history) are spaced
+ * STEP apart.
+ */
+
+import { createTileStore } from "./tiles";
+import { BALL_COLOR, paintStroke } from "./strokes";
+import { excludeClip } from "./moderation";
+
+export const MAX_GAP = 1500;
+export const STEP = 16;
+
+/** Cumulative playback time (ms at 1x) of each stroke */
+export function timeline(strokes) {
+  const times = new Float64Array(strokes.length);
+  let at = 0;
+  for (let i = 0; i < strokes.length; i++) {
+    const t = strokes[i].t;
+    const prev = i ? strokes[i - 1].t : null;
+    if (i) {
+      at +=
+        t != null && prev != null && t >= prev
+          ? Math.min(t - prev, MAX_GAP)
+          : STEP;
+    }
+    times[i] = at;
+  }
+  return times;
+}
+
+/**
+ * @param {{ strokes: object[], radius: number, base?: object[],
+ *   cutsOf?(s): object[] }} opts
+ *   base: snapshot parts `{x, y, w, h, img}` the history starts from;
+ *   cutsOf: rollbacks / claims clipped out of a stroke, as on the live canvas
+ */
+export function createTimelapse({
+  strokes,
+  radius,
+  base = [],
+  cutsOf = () => [],
+}) {
+  const list = strokes.filter((s) => !s.undone);
+  const times = timeline(list);
+  const tiles = createTileStore({ radius });
+  let drawn = 0;
+  let position = 0;
+
+  function restart() {
+    tiles.reset();
+    for (const b of base) {
+      tiles.paint(b, (ctx) => ctx.drawImage(b.img, b.x, b.y, b.w, b.h));
+    }
+    drawn = 0;
+  }
+  restart();
+
+  /** Show the canvas as it was `ms` into playback */
+  function seek(ms) {
+    position = Math.max(0, ms);
+    if (drawn && times[drawn - 1] > position) restart();
+    while (drawn < list.length && times[drawn] <= position) {
+      const s = list[drawn++];
+      const cuts = cutsOf(s);
+      const clip = cuts.length ? excludeClip(null, cuts) : null;
+      paintStroke(tiles, s, radius, clip);
+    }
+  }
+
+  // square whole-ball canvas for recording, redrawn when the tiles change
+  let stage = null;
+  let stageVersion = -1;
+  function renderStage(size = 1080) {
+    if (!stage) {
+      stage = document.createElement("canvas");
+      stage.width = stage.height = size;
+    }
+    if (stageVersion === tiles.version) return stage;
+    const k = size / (radius * 2);
+    const ctx = stage.getContext("2d");
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.fillStyle = "#0b0b10";
+    ctx.fillRect(0, 0, size, size);
+    ctx.setTransform(k, 0, 0, k, size / 2, size / 2);
+    ctx.save();
+    ctx.beginPath();
+    ctx.arc(0, 0, radius, 0, Math.PI * 2);
+    ctx.fillStyle = BALL_COLOR;
+    ctx.fill();
+    ctx.clip();
+    tiles.draw(
+      ctx,
+      { x: -radius, y: -radius, w: 2 * radius, h: 2 * radius },
+      k
+    );
+    ctx.restore();
+    stageVersion = tiles.version;
+    return stage;
+  }
+
+  return {
+    tiles,
+    seek,
+    renderStage,
+    total: list.length,
+    duration: list.length ? times[list.length - 1] : 0,
+    get drawn() {
+      return drawn;
+    },
+    get position() {
+      return position;
+    },
+  };
+}
+
+/** Record `canvas` to WebM; returns { stop() -> Promise<Blob> } */
+export function recordCanvas(canvas, fps = 30) {
+  if (!canvas.captureStream || typeof MediaRecorder === "undefined") {
+    throw new Error("Recording is not supported in this browser");
+  }
+  const mimeType = ["video/webm;codecs=vp9", "video/webm;codecs=vp8"].find(
+    (m) => MediaRecorder.isTypeSupported(m)
+  );
+  const stream = canvas.captureStream(fps);
+  const rec = new MediaRecorder(
+    stream,
+    mimeType ? { mimeType } : { mimeType: "video/webm" }
+  );
+  const chunks = [];
+  rec.ondataavailable = (e) => e.data.size && chunks.push(e.data);
+  rec.start(1000);
+  return {
+    stop() {
+      return new Promise((resolve) => {
+        rec.onstop = () => {
+          stream.getTracks().forEach((t) => t.stop());
+          resolve(new Blob(chunks, { type: "video/webm" }));
+        };
+        if (rec.state !== "inactive") rec.stop();
+        else rec.onstop();
+      });
+    },
+  };
+}
@@ -0,0 +1,50 @@
+/** --- View math ---
+ * The flat view centres world (-offset) on the canvas at `scale` css px per
+ * world unit; sphere mode ray-casts onto a sphere of radius R * scale in the
+ * middle of the canvas. A view is
+ *
+ *   { width, height, offset: {x, y}, scale, radius, rot? }
+ *
+ * where width/height are the canvas css size and `rot` (sphere orientation,
+ * see sphere.js) is set only in sphere mode.
+ */
+
+import { sphereToWorld } from "./sphere";
+
+export const MIN_SCALE = 0.2;
+export const MAX_SCALE = 5;
+
+export function clampScale(s) {
+  return Math.min(MAX_SCALE, Math.max(MIN_SCALE, s));
+}
+
+/** Canvas css px -> world; null when a sphere ray misses the ball */
+export function screenToWorld(view, cssX, cssY) {
+  const dx = cssX - view.width / 2;
+  const dy = cssY - view.height / 2;
+  if (view.rot) {
+    const r = view.radius * view.scale;
+    return sphereToWorld(dx / r, dy / r, view.rot, view.radius);
+  }
+  return {
+    x: dx / view.scale - view.offset.x,
+    y: dy / view.scale - view.offset.y,
+  };
+}
+
+/** World -> canvas css px (flat view) */
+export function worldToScreen(view, x, y) {
+  return {
+    x: (x + view.offset.x) * view.scale + view.width / 2,
+    y: (y + view.offset.y) * view.scale + view.height / 2,
+  };
+}
+
+/** Offset/scale that fit the whole ball with `margin` px to spare */
+export function fitBall(width, height, radius, margin = 40) {
+  const d = radius * 2;
+  return {
+    offset: { x: 0, y: 0 },
+    scale: Math.min((width - margin * 2) / d, (height - margin * 2) / d),
+  };
+}
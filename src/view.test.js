@@ -0,0 +1,74 @@
+import {
+  MIN_SCALE,
+  MAX_SCALE,
+  clampScale,
+  screenToWorld,
+  worldToScreen,
+  fitBall,
+} from "./view";
+import { IDENTITY } from "./sphere";
+
+const flat = {
+  width: 800,
+  height: 600,
+  offset: { x: 100, y: -50 },
+  scale: 0.5,
+  radius: 2000,
+};
+
+describe("flat view", () => {
+  test("canvas centre is -offset", () => {
+    expect(screenToWorld(flat, 400, 300)).toEqual({ x: -100, y: 50 });
+  });
+
+  test("css px scale by 1 / scale", () => {
+    const p = screenToWorld(flat, 400 + 10, 300 - 20);
+    expect(p.x).toBeCloseTo(-100 + 20);
+    expect(p.y).toBeCloseTo(50 - 40);
+  });
+
+  test("worldToScreen inverts screenToWorld", () => {
+    for (const [x, y] of [
+      [0, 0],
+      [13, 577],
+      [799, 1],
+    ]) {
+      const w = screenToWorld(flat, x, y);
+      const s = worldToScreen(flat, w.x, w.y);
+      expect(s.x).toBeCloseTo(x);
+      expect(s.y).toBeCloseTo(y);
+    }
+  });
+});
+
+describe("sphere view", () => {
+  const sphere = { ...flat, offset: { x: 0, y: 0 }, scale: 0.1, rot: IDENTITY };
+
+  test("the front pole is the ball centre", () => {
+    const p = screenToWorld(sphere, 400, 300);
+    expect(p.x).toBeCloseTo(0);
+    expect(p.y).toBeCloseTo(0);
+  });
+
+  test("points on the sphere stay inside the ball", () => {
+    const p = screenToWorld(sphere, 400 + 150, 300 - 90);
+    expect(Math.hypot(p.x, p.y)).toBeLessThanOrEqual(2000);
+  });
+
+  test("a ray beside the sphere misses", () => {
+    // sphere radius on screen = 2000 * 0.1 = 200 px
+    expect(screenToWorld(sphere, 400 + 250, 300)).toBeNull();
+  });
+});
+
+test("clampScale keeps zoom in range", () => {
+  expect(clampScale(0)).toBe(MIN_SCALE);
+  expect(clampScale(100)).toBe(MAX_SCALE);
+  expect(clampScale(1)).toBe(1);
+});
+
+test("fitBall leaves the margin on the short side", () => {
+  const { offset, scale } = fitBall(800, 600, 2000, 40);
+  expect(offset).toEqual({ x: 0, y: 0 });
+  expect(scale).toBeCloseTo((600 - 80) / 4000);
+});
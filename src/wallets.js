@@ -0,0 +1,104 @@
+/** --- Wallet adapters ---
+ * Each adapter knows how to find one injected Solana provider. `openWallet`
+ * wraps whichever provider was picked behind a single interface:
+ *
+ *   connect()          -> base58 address
+ *   disconnect()
+ *   signMessage(bytes) -> Uint8Array signature
+ *   on(event, fn)      -> unsubscribe; events: "accountChanged" (address or
+ *                         null), "disconnect"
+ */
+
+export const ADAPTERS = [
+  {
+    id: "phantom",
+    name: "Phantom",
+    detect: () => {
+      const p = window.phantom?.solana || window.solana;
+      return p?.isPhantom ? p : null;
+    },
+  },
+  {
+    id: "solflare",
+    name: "Solflare",
+    detect: () => (window.solflare?.isSolflare ? window.solflare : null),
+  },
+  {
+    id: "backpack",
+    name: "Backpack",
+    detect: () =>
+      window.backpack?.solana ||
+      (window.backpack?.isBackpack ? window.backpack : null),
+  },
+  {
+    // any other wallet that injects the Phantom-style window.solana API
+    id: "injected",
+    name: "Browser wallet",
+    detect: () => {
+      const p = window.solana;
+      return p && !p.isPhantom && typeof p.connect === "function" ? p : null;
+    },
+  },
+];
+
+function addressOf(pk) {
+  if (!pk) return null;
+  if (typeof pk === "string") return pk;
+  return pk.toBase58?.() || pk.toString?.() || null;
+}
+
+/** Adapters whose provider is present in this browser (one per provider) */
+export function detectWallets() {
+  if (typeof window === "undefined") return [];
+  const seen = new Set();
+  return ADAPTERS.filter((a) => {
+    let p = null;
+    try {
+      p = a.detect();
+    } catch (_) {
+      // a broken injected provider shouldn't hide the others
+    }
+    if (!p || seen.has(p)) return false;
+    seen.add(p);
+    return true;
+  });
+}
+
+export function openWallet(adapter) {
+  const provider = adapter.detect();
+  if (!provider) throw new Error(`${adapter.name} wallet not found.`);
+
+  return {
+    id: adapter.id,
+    name: adapter.name,
+    provider,
+
+    async connect() {
+      const resp = await provider.connect();
+      return addressOf(resp?.publicKey || provider.publicKey);
+    },
+
+    async disconnect() {
+      await provider.disconnect?.();
+    },
+
+    async signMessage(bytes) {
+      if (!provider.signMessage) {
+        throw new Error(`${adapter.name} cannot sign messages.`);
+      }
+      const signed = await provider.signMessage(bytes, "utf8");
+      return signed?.signature || signed;
+    },
+
+    on(event, fn) {
+      if (!provider.on) return () => {};
+      const handler =
+        event === "accountChanged" ? (pk) => fn(addressOf(pk)) : () => fn();
+      provider.on(event, handler);
+      return () => {
+        if (provider.off) provider.off(event, handler);
+        else provider.removeListener?.(event, handler);
+      };
+    },
+  };
+}
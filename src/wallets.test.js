@@ -0,0 +1,65 @@
+import { detectWallets, openWallet } from "./wallets";
+import { fakeSolana, FAKE_ADDRESS } from "./testing/fakeSolana";
+
+afterEach(() => {
+  delete window.solana;
+  delete window.phantom;
+});
+
+test("no provider, no wallets", () => {
+  expect(detectWallets()).toEqual([]);
+});
+
+test("window.solana is found as Phantom", () => {
+  window.solana = fakeSolana();
+  expect(detectWallets().map((a) => a.id)).toEqual(["phantom"]);
+});
+
+test("one provider is listed once", () => {
+  window.phantom = { solana: fakeSolana() };
+  window.solana = window.phantom.solana;
+  expect(detectWallets()).toHaveLength(1);
+});
+
+test("other injected wallets use the generic adapter", () => {
+  window.solana = fakeSolana({ isPhantom: false });
+  expect(detectWallets().map((a) => a.id)).toEqual(["injected"]);
+});
+
+describe("an opened wallet", () => {
+  let provider, wallet;
+  beforeEach(() => {
+    provider = window.solana = fakeSolana();
+    wallet = openWallet(detectWallets()[0]);
+  });
+
+  test("connect resolves the base58 address", async () => {
+    await expect(wallet.connect()).resolves.toBe(FAKE_ADDRESS);
+  });
+
+  test("signMessage returns the raw signature bytes", async () => {
+    const sig = await wallet.signMessage(new TextEncoder().encode("nonce 42"));
+    expect(sig).toBeInstanceOf(Uint8Array);
+    expect(provider.signed).toEqual(["nonce 42"]);
+  });
+
+  test("account switches report addresses, and unsubscribe", async () => {
+    const seen = [];
+    const off = wallet.on("accountChanged", (a) => seen.push(a));
+    provider.emit(
+      "accountChanged",
+      "Other1111111111111111111111111111111111111"
+    );
+    provider.emit("accountChanged", null);
+    off();
+    provider.emit("accountChanged", FAKE_ADDRESS);
+    expect(seen).toEqual(["Other1111111111111111111111111111111111111", null]);
+    expect(provider.listenerCount("accountChanged")).toBe(0);
+  });
+
+  test("a rejected connect surfaces the error", async () => {
+    window.solana = fakeSolana({ rejectConnect: true });
+    const w = openWallet(detectWallets()[0]);
+    await expect(w.connect()).rejects.toThrow(/rejected/);
+  });
+});